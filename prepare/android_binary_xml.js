@@ -0,0 +1,304 @@
+/**
+ * Android Binary XML Module
+ * Decodes compiled AndroidManifest.xml files into a plain element tree:
+ *   - the protobuf format (aapt2 XmlNode) used inside .aab files
+ *   - the binary AXML format used inside .apk files
+ * Elements are {name, attributes, children}; attribute names carry the "android:"
+ * prefix like in the source manifest, values are strings.
+ */
+
+// Namespace of the android: attributes
+const ANDROID_NAMESPACE = "http://schemas.android.com/apk/res/android";
+
+// Framework attribute ids, for AXML files whose attribute names were stripped
+const ANDROID_ATTRIBUTE_IDS = {
+  0x01010003: "name",
+  0x0101021b: "versionCode",
+  0x0101021c: "versionName",
+};
+
+// ---------------------------------------------------------------------------
+// Protobuf (aapt2 Resources.proto)
+// ---------------------------------------------------------------------------
+
+// Split a protobuf message into its fields: [{number, value}], value is a number or a Buffer
+function readProtoFields(buffer) {
+  const fields = [];
+  let offset = 0;
+
+  const readVarint = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (offset >= buffer.length) {
+        throw new Error("Truncated protobuf varint");
+      }
+      byte = buffer[offset++];
+      result += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return result;
+  };
+
+  while (offset < buffer.length) {
+    const key = readVarint();
+    const number = Math.floor(key / 8);
+    const wireType = key & 7;
+
+    let value;
+    switch (wireType) {
+      case 0:
+        value = readVarint();
+        break;
+      case 1:
+        value = buffer.subarray(offset, offset + 8);
+        offset += 8;
+        break;
+      case 2: {
+        const length = readVarint();
+        value = buffer.subarray(offset, offset + length);
+        offset += length;
+        break;
+      }
+      case 5:
+        value = buffer.readUInt32LE(offset);
+        offset += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    fields.push({ number, value });
+  }
+
+  return fields;
+}
+
+// First field with the given number
+function protoField(fields, number) {
+  const field = fields.find((candidate) => candidate.number === number);
+  return field ? field.value : undefined;
+}
+
+function protoString(fields, number) {
+  const value = protoField(fields, number);
+  return value ? value.toString("utf8") : "";
+}
+
+// Value of a compiled attribute (Item message): strings and primitives
+function decodeProtoItem(buffer) {
+  const item = readProtoFields(buffer);
+
+  // Item.str and Item.raw_str hold a String message with the value in field 1
+  for (const number of [2, 3]) {
+    const str = protoField(item, number);
+    if (str) {
+      return protoString(readProtoFields(str), 1);
+    }
+  }
+
+  const prim = protoField(item, 7);
+  if (prim) {
+    const primFields = readProtoFields(prim);
+    // Prim.int_decimal_value, Prim.int_hexadecimal_value, Prim.boolean_value
+    for (const number of [6, 7]) {
+      const value = protoField(primFields, number);
+      if (value !== undefined) {
+        return String(value | 0);
+      }
+    }
+    const boolean = protoField(primFields, 8);
+    if (boolean !== undefined) {
+      return String(Boolean(boolean));
+    }
+  }
+
+  return "";
+}
+
+// XmlElement message into an element
+function decodeProtoElement(buffer) {
+  const fields = readProtoFields(buffer);
+  const element = { name: protoString(fields, 3), attributes: {}, children: [] };
+
+  for (const field of fields) {
+    if (field.number === 4) {
+      // XmlAttribute: namespace_uri = 1, name = 2, value = 3, compiled_item = 6
+      const attribute = readProtoFields(field.value);
+      const namespace = protoString(attribute, 1);
+      const name = `${namespace === ANDROID_NAMESPACE ? "android:" : ""}${protoString(attribute, 2)}`;
+      const compiled = protoField(attribute, 6);
+      element.attributes[name] = protoString(attribute, 3) || (compiled ? decodeProtoItem(compiled) : "");
+    } else if (field.number === 5) {
+      // XmlNode: element = 1 (text nodes are skipped)
+      const child = protoField(readProtoFields(field.value), 1);
+      if (child) {
+        element.children.push(decodeProtoElement(child));
+      }
+    }
+  }
+
+  return element;
+}
+
+// ---------------------------------------------------------------------------
+// AXML (ResXMLTree)
+// ---------------------------------------------------------------------------
+
+// Chunk types
+const RES_STRING_POOL_TYPE = 0x0001;
+const RES_XML_TYPE = 0x0003;
+const RES_XML_START_ELEMENT_TYPE = 0x0102;
+const RES_XML_END_ELEMENT_TYPE = 0x0103;
+const RES_XML_RESOURCE_MAP_TYPE = 0x0180;
+
+// Typed value types
+const TYPE_REFERENCE = 0x01;
+const TYPE_STRING = 0x03;
+const TYPE_INT_DEC = 0x10;
+const TYPE_INT_HEX = 0x11;
+const TYPE_INT_BOOLEAN = 0x12;
+
+const NO_ENTRY = 0xffffffff;
+
+// Strings of a string pool chunk
+function readStringPool(buffer, start) {
+  const headerSize = buffer.readUInt16LE(start + 2);
+  const count = buffer.readUInt32LE(start + 8);
+  const utf8 = (buffer.readUInt32LE(start + 16) & 0x100) !== 0;
+  const stringsStart = start + buffer.readUInt32LE(start + 20);
+  const strings = [];
+
+  for (let i = 0; i < count; i++) {
+    let offset = stringsStart + buffer.readUInt32LE(start + headerSize + i * 4);
+
+    if (utf8) {
+      // Character count, then byte count, each 1 or 2 bytes
+      offset += buffer[offset] & 0x80 ? 2 : 1;
+      let length = buffer[offset];
+      if (length & 0x80) {
+        length = ((length & 0x7f) << 8) | buffer[offset + 1];
+        offset += 2;
+      } else {
+        offset += 1;
+      }
+      strings.push(buffer.toString("utf8", offset, offset + length));
+    } else {
+      let length = buffer.readUInt16LE(offset);
+      if (length & 0x8000) {
+        length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(offset + 2);
+        offset += 4;
+      } else {
+        offset += 2;
+      }
+      strings.push(buffer.toString("utf16le", offset, offset + length * 2));
+    }
+  }
+
+  return strings;
+}
+
+// Attribute of a start element chunk
+function decodeAxmlAttribute(buffer, offset, strings, resourceIds) {
+  const namespaceIndex = buffer.readUInt32LE(offset);
+  const nameIndex = buffer.readUInt32LE(offset + 4);
+  const rawValueIndex = buffer.readUInt32LE(offset + 8);
+  const dataType = buffer[offset + 15];
+  const data = buffer.readUInt32LE(offset + 16);
+
+  const namespace = namespaceIndex === NO_ENTRY ? "" : strings[namespaceIndex];
+  const name = strings[nameIndex] || ANDROID_ATTRIBUTE_IDS[resourceIds[nameIndex]] || "";
+
+  let value;
+  if (rawValueIndex !== NO_ENTRY) {
+    value = strings[rawValueIndex];
+  } else if (dataType === TYPE_STRING) {
+    value = strings[data];
+  } else if (dataType === TYPE_INT_DEC || dataType === TYPE_INT_HEX) {
+    value = String(data | 0);
+  } else if (dataType === TYPE_INT_BOOLEAN) {
+    value = String(data !== 0);
+  } else if (dataType === TYPE_REFERENCE) {
+    value = `@0x${data.toString(16).padStart(8, "0")}`;
+  } else {
+    value = String(data);
+  }
+
+  return { name: `${namespace === ANDROID_NAMESPACE ? "android:" : ""}${name}`, value };
+}
+
+function decodeAxml(buffer) {
+  let strings = [];
+  let resourceIds = [];
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+
+  let offset = buffer.readUInt16LE(2);
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (size < 8) {
+      throw new Error("Corrupt binary XML chunk");
+    }
+
+    if (type === RES_STRING_POOL_TYPE) {
+      strings = readStringPool(buffer, offset);
+    } else if (type === RES_XML_RESOURCE_MAP_TYPE) {
+      resourceIds = [];
+      for (let i = offset + headerSize; i < offset + size; i += 4) {
+        resourceIds.push(buffer.readUInt32LE(i));
+      }
+    } else if (type === RES_XML_START_ELEMENT_TYPE) {
+      const ext = offset + headerSize;
+      const element = { name: strings[buffer.readUInt32LE(ext + 4)], attributes: {}, children: [] };
+      const attributeStart = buffer.readUInt16LE(ext + 8);
+      const attributeSize = buffer.readUInt16LE(ext + 10);
+      const attributeCount = buffer.readUInt16LE(ext + 12);
+
+      for (let i = 0; i < attributeCount; i++) {
+        const attribute = decodeAxmlAttribute(
+          buffer,
+          ext + attributeStart + i * attributeSize,
+          strings,
+          resourceIds
+        );
+        element.attributes[attribute.name] = attribute.value;
+      }
+
+      stack[stack.length - 1].children.push(element);
+      stack.push(element);
+    } else if (type === RES_XML_END_ELEMENT_TYPE) {
+      stack.pop();
+    }
+
+    offset += size;
+  }
+
+  if (root.children.length === 0) {
+    throw new Error("Binary XML has no root element");
+  }
+  return root.children[0];
+}
+
+/**
+ * Decode a compiled AndroidManifest.xml
+ * @param {Buffer} buffer - Protobuf (from an .aab) or AXML (from an .apk) content
+ * @returns {{name: string, attributes: Object, children: Array}} - The root element
+ */
+function decodeManifest(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt16LE(0) === RES_XML_TYPE && buffer.readUInt16LE(2) === 8) {
+    return decodeAxml(buffer);
+  }
+
+  // XmlNode: element = 1
+  const element = protoField(readProtoFields(buffer), 1);
+  if (!element) {
+    throw new Error("Manifest is neither binary XML nor an aapt2 protobuf XmlNode");
+  }
+  return decodeProtoElement(element);
+}
+
+module.exports = {
+  decodeManifest,
+};
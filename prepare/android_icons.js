@@ -0,0 +1,218 @@
+/**
+ * Android Launcher Icons Generator Module
+ * Generates the Android launcher icons from the same 1024px app_icon used for iOS:
+ * legacy and round mipmaps for every density, plus the mipmap-anydpi-v26 adaptive
+ * icon with foreground, background and (Android 13) monochrome layers.
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const images = require("./images");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_ANDROID_RES_PATH = "android/app/src/main/res";
+const DEFAULT_BACKGROUND_COLOR = "#FFFFFF";
+
+// Pixel sizes per density: legacy icons are 48dp, adaptive icon layers 108dp
+const DENSITIES = [
+  { name: "mdpi", legacy: 48, layer: 108 },
+  { name: "hdpi", legacy: 72, layer: 162 },
+  { name: "xhdpi", legacy: 96, layer: 216 },
+  { name: "xxhdpi", legacy: 144, layer: 324 },
+  { name: "xxxhdpi", legacy: 192, layer: 432 },
+];
+
+// A full app icon is shrunk to the 72dp visible area of the 108dp adaptive layer
+const APP_ICON_LAYER_SCALE = 72 / 108;
+
+// Adaptive icon XML for ic_launcher and ic_launcher_round
+function adaptiveIconXml(background, hasMonochrome) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">',
+    `    <background android:drawable="${background}"/>`,
+    '    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>',
+  ];
+
+  if (hasMonochrome) {
+    lines.push('    <monochrome android:drawable="@mipmap/ic_launcher_monochrome"/>');
+  }
+
+  lines.push("</adaptive-icon>", "");
+  return lines.join("\n");
+}
+
+// values/ic_launcher_background.xml holding the background color
+function backgroundColorXml(color) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    "<resources>",
+    `    <color name="ic_launcher_background">${color}</color>`,
+    "</resources>",
+    "",
+  ].join("\n");
+}
+
+// Remove a resource file if it exists
+function removeIfExists(filePath) {
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    log(`Removed ${filePath}`, colors.yellow);
+  }
+}
+
+// Remove .webp variants of the generated icons: two files with the same resource
+// name in one folder fail the build
+function removeConflictingWebp(mipmapDir, names) {
+  for (const name of names) {
+    removeIfExists(path.join(mipmapDir, `${name}.webp`));
+  }
+}
+
+/**
+ * Generate Android launcher icons
+ * @param {Object} options - Configuration options
+ * @param {string} options.appIcon - 1024x1024 PNG used for the legacy icons (and as foreground by default)
+ * @param {Object} options.androidIcon - android_icon config block
+ * @param {string} options.androidIcon.foreground - Foreground layer PNG (108dp layer with the logo in the center 72dp)
+ * @param {number} options.androidIcon.foreground_scale - Size of the foreground relative to the layer
+ * @param {string} options.androidIcon.background_color - Background layer color (default: #FFFFFF)
+ * @param {string} options.androidIcon.background_image - Background layer PNG (instead of a color)
+ * @param {string} options.androidIcon.monochrome - Monochrome layer PNG (default: silhouette of
+ *   androidIcon.foreground, which needs a transparent background; no layer when neither is set)
+ * @param {string} options.androidResPath - Path to Android res directory (default: android/app/src/main/res)
+ * @returns {boolean} - Success or failure
+ */
+function generateAndroidIcons(options) {
+  const {
+    appIcon,
+    androidIcon = {},
+    androidResPath = DEFAULT_ANDROID_RES_PATH,
+  } = options;
+
+  if (!appIcon) {
+    log(
+      "Warning: No app icon provided. Skipping Android launcher icon generation.",
+      colors.yellow
+    );
+    return false;
+  }
+
+  log("Generating Android launcher icons...", colors.blue);
+
+  const foreground = androidIcon.foreground || appIcon;
+  const foregroundScale =
+    androidIcon.foreground_scale ||
+    (androidIcon.foreground ? 1 : APP_ICON_LAYER_SCALE);
+
+  // Without a transparent foreground a silhouette would just be a square
+  const monochrome = androidIcon.monochrome || (androidIcon.foreground ? foreground : null);
+  const monochromeScale = androidIcon.monochrome ? 1 : foregroundScale;
+
+  if (!monochrome) {
+    log(
+      "Note: No android_icon.foreground or android_icon.monochrome configured, skipping the themed (monochrome) icon layer.",
+      colors.yellow
+    );
+  }
+
+  for (const density of DENSITIES) {
+    const mipmapDir = path.join(androidResPath, `mipmap-${density.name}`);
+    fs.mkdirSync(mipmapDir, { recursive: true });
+
+    removeConflictingWebp(mipmapDir, [
+      "ic_launcher",
+      "ic_launcher_round",
+      "ic_launcher_foreground",
+      "ic_launcher_background",
+      "ic_launcher_monochrome",
+    ]);
+
+    // Legacy icons for Android 7.1 and older
+    images.resizeImage(
+      appIcon,
+      path.join(mipmapDir, "ic_launcher.png"),
+      density.legacy,
+      density.legacy
+    );
+    images.circleImage(
+      appIcon,
+      path.join(mipmapDir, "ic_launcher_round.png"),
+      density.legacy
+    );
+
+    // Adaptive icon layers
+    images.placeOnCanvas(
+      foreground,
+      path.join(mipmapDir, "ic_launcher_foreground.png"),
+      density.layer,
+      foregroundScale
+    );
+
+    if (androidIcon.background_image) {
+      images.resizeImage(
+        androidIcon.background_image,
+        path.join(mipmapDir, "ic_launcher_background.png"),
+        density.layer,
+        density.layer
+      );
+    } else {
+      removeIfExists(path.join(mipmapDir, "ic_launcher_background.png"));
+    }
+
+    if (monochrome) {
+      images.silhouetteImage(
+        monochrome,
+        path.join(mipmapDir, "ic_launcher_monochrome.png"),
+        density.layer,
+        monochromeScale
+      );
+    } else {
+      removeIfExists(path.join(mipmapDir, "ic_launcher_monochrome.png"));
+    }
+
+    log(`Created mipmap-${density.name} icons`, colors.blue);
+  }
+
+  // Background layer: an image, or a color resource
+  let background = "@mipmap/ic_launcher_background";
+  const backgroundColorPath = path.join(androidResPath, "values", "ic_launcher_background.xml");
+
+  if (androidIcon.background_image) {
+    removeIfExists(backgroundColorPath);
+  } else {
+    background = "@color/ic_launcher_background";
+    fs.mkdirSync(path.dirname(backgroundColorPath), { recursive: true });
+    fs.writeFileSync(
+      backgroundColorPath,
+      backgroundColorXml(androidIcon.background_color || DEFAULT_BACKGROUND_COLOR)
+    );
+  }
+
+  // Adaptive icon definitions for Android 8.0+
+  const anydpiDir = path.join(androidResPath, "mipmap-anydpi-v26");
+  fs.mkdirSync(anydpiDir, { recursive: true });
+
+  const adaptiveXml = adaptiveIconXml(background, Boolean(monochrome));
+  fs.writeFileSync(path.join(anydpiDir, "ic_launcher.xml"), adaptiveXml);
+  fs.writeFileSync(path.join(anydpiDir, "ic_launcher_round.xml"), adaptiveXml);
+
+  log(`Android launcher icons generated successfully at: ${androidResPath}`, colors.green);
+  return true;
+}
+
+module.exports = generateAndroidIcons;
@@ -0,0 +1,445 @@
+/**
+ * Android Manifest Module
+ * Parses AndroidManifest.xml into an element tree that remembers where every
+ * element sits in the source, so edits only touch the lines they change: comments,
+ * attribute layout and entries added by hand are kept as they are.
+ * Entries managed by prepare are kept between BEGIN/END marker comments, which
+ * lets later runs replace them without guessing which entries they added.
+ */
+
+const fs = require("./vfs");
+
+// Indentation used when the manifest gives no hint
+const DEFAULT_INDENT = "    ";
+
+// Marker comments around a generated block
+function markers(id) {
+  return {
+    begin: `<!-- BEGIN prepare: ${id} -->`,
+    end: `<!-- END prepare: ${id} -->`,
+  };
+}
+
+// Escape a value for use in an XML attribute
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Decode the entities of an attribute value
+function unescapeAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// Parser producing elements with their source offsets
+class ManifestParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  error(message) {
+    const line = this.text.slice(0, this.pos).split("\n").length;
+    return new Error(`Invalid AndroidManifest.xml (line ${line}): ${message}`);
+  }
+
+  // Skip to the end of a construct that starts at the current position
+  skipPast(terminator) {
+    const end = this.text.indexOf(terminator, this.pos);
+    if (end === -1) {
+      throw this.error(`missing "${terminator}"`);
+    }
+    this.pos = end + terminator.length;
+  }
+
+  parseAttributes() {
+    const attributes = {};
+    const pattern = /\s*([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')|\s*(\/?>)/y;
+
+    for (;;) {
+      pattern.lastIndex = this.pos;
+      const match = pattern.exec(this.text);
+      if (!match) {
+        throw this.error("malformed tag");
+      }
+      this.pos = pattern.lastIndex;
+
+      if (match[5]) {
+        return { attributes, selfClosing: match[5] === "/>" };
+      }
+      attributes[match[1]] = unescapeAttribute(match[3] !== undefined ? match[3] : match[4]);
+    }
+  }
+
+  parseDocument() {
+    const root = { name: "#document", children: [], parent: null };
+    const stack = [root];
+
+    while (this.pos < this.text.length) {
+      const open = this.text.indexOf("<", this.pos);
+      if (open === -1) break;
+      this.pos = open;
+
+      if (this.text.startsWith("<!--", open)) {
+        this.skipPast("-->");
+      } else if (this.text.startsWith("<![CDATA[", open)) {
+        this.skipPast("]]>");
+      } else if (this.text.startsWith("<?", open) || this.text.startsWith("<!", open)) {
+        this.skipPast(">");
+      } else if (this.text.startsWith("</", open)) {
+        const match = /^<\/([\w:.-]+)\s*>/.exec(this.text.slice(open));
+        const element = stack[stack.length - 1];
+        if (!match || match[1] !== element.name) {
+          throw this.error(`unexpected closing tag, expected </${element.name}>`);
+        }
+        this.pos = open + match[0].length;
+        element.closeStart = open;
+        element.end = this.pos;
+        stack.pop();
+      } else {
+        const match = /^<([\w:.-]+)/.exec(this.text.slice(open));
+        if (!match) {
+          throw this.error("malformed tag");
+        }
+        this.pos = open + match[0].length;
+
+        const parent = stack[stack.length - 1];
+        const { attributes, selfClosing } = this.parseAttributes();
+        const element = {
+          name: match[1],
+          attributes,
+          children: [],
+          parent,
+          start: open,
+          openEnd: this.pos,
+          selfClosing,
+        };
+        parent.children.push(element);
+
+        if (selfClosing) {
+          element.closeStart = element.end = this.pos;
+        } else {
+          stack.push(element);
+        }
+      }
+    }
+
+    if (stack.length > 1) {
+      throw this.error(`<${stack[stack.length - 1].name}> is never closed`);
+    }
+    return root;
+  }
+}
+
+/**
+ * In-memory model of AndroidManifest.xml
+ * Element objects describe the current content: after an edit, look them up again.
+ */
+class AndroidManifest {
+  /**
+   * @param {string} text - Content of AndroidManifest.xml
+   */
+  constructor(text) {
+    this.text = text;
+    this.update(text);
+
+    if (!this.root) {
+      throw new Error("Invalid AndroidManifest.xml: missing <manifest> element");
+    }
+  }
+
+  /**
+   * Read and parse an AndroidManifest.xml file
+   * @param {string} filePath - Path to AndroidManifest.xml
+   * @returns {AndroidManifest} - Parsed manifest
+   */
+  static read(filePath) {
+    return new AndroidManifest(fs.readFileSync(filePath, "utf8"));
+  }
+
+  /**
+   * Write the manifest back to disk
+   * @param {string} filePath - Path to AndroidManifest.xml
+   * @returns {boolean} - Whether the file content changed
+   */
+  write(filePath) {
+    if (this.content === this.text) {
+      return false;
+    }
+    fs.writeFileSync(filePath, this.content);
+    this.text = this.content;
+    return true;
+  }
+
+  // Replace the content and parse it again
+  update(content) {
+    this.content = content;
+    this.document = new ManifestParser(content).parseDocument();
+    this.root = this.document.children.find((element) => element.name === "manifest");
+  }
+
+  // Replace the content between two offsets
+  splice(start, end, replacement) {
+    this.update(this.content.slice(0, start) + replacement + this.content.slice(end));
+  }
+
+  /**
+   * Render an element as XML
+   * @param {string} name - Element name
+   * @param {Object} attributes - Attribute values by name (undefined values are skipped)
+   * @param {string[]} children - Rendered child elements
+   * @returns {string} - XML, one line per element
+   */
+  static renderElement(name, attributes = {}, children = []) {
+    const rendered = Object.entries(attributes)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+      .join("");
+
+    if (children.length === 0) {
+      return `<${name}${rendered} />`;
+    }
+
+    const body = children
+      .join("\n")
+      .split("\n")
+      .map((line) => `${DEFAULT_INDENT}${line}`)
+      .join("\n");
+    return `<${name}${rendered}>\n${body}\n</${name}>`;
+  }
+
+  // -------------------------------------------------------------------------
+  // Lookups
+  // -------------------------------------------------------------------------
+
+  /**
+   * Find the child elements of an element
+   * @param {Object} parent - Parent element
+   * @param {string} name - Element name
+   * @param {Function} predicate - Optional filter called with the element
+   * @returns {Object[]} - Matching elements
+   */
+  findChildren(parent, name, predicate = () => true) {
+    return parent.children.filter((element) => element.name === name && predicate(element));
+  }
+
+  /**
+   * Find an element by its path from <manifest>, e.g. "application/activity"
+   * @param {string} elementPath - Element names separated by "/"
+   * @param {Function} predicate - Optional filter for the last element
+   * @returns {Object|null} - The first matching element
+   */
+  findElement(elementPath, predicate = () => true) {
+    const names = elementPath.split("/").filter(Boolean);
+    let candidates = [this.root];
+
+    names.forEach((name, index) => {
+      const filter = index === names.length - 1 ? predicate : () => true;
+      candidates = candidates.flatMap((element) => this.findChildren(element, name, filter));
+    });
+
+    return candidates[0] || null;
+  }
+
+  // Leading whitespace of the line an offset is on
+  indentAt(offset) {
+    const lineStart = this.content.lastIndexOf("\n", offset - 1) + 1;
+    return this.content.slice(lineStart, offset).match(/^[ \t]*/)[0];
+  }
+
+  // Indentation of the children of an element
+  childIndent(element) {
+    const firstChild = element.children[0];
+    if (firstChild) {
+      return this.indentAt(firstChild.start);
+    }
+
+    // One level deeper, using the step between <manifest> and its first child
+    const sample = this.root.children[0];
+    const rootIndent = this.indentAt(this.root.start);
+    const step = sample ? this.indentAt(sample.start).slice(rootIndent.length) : "";
+    return this.indentAt(element.start) + (step || DEFAULT_INDENT);
+  }
+
+  // -------------------------------------------------------------------------
+  // Editing
+  // -------------------------------------------------------------------------
+
+  /**
+   * Insert XML as the last children of an element
+   * @param {Object} parent - Parent element
+   * @param {string} xml - One or more elements (multi-line XML is re-indented)
+   */
+  appendXml(parent, xml) {
+    const indent = this.childIndent(parent);
+    const parentIndent = this.indentAt(parent.start);
+    const lines = xml
+      .split("\n")
+      .map((line) => `${indent}${line}`)
+      .join("\n");
+
+    if (parent.selfClosing) {
+      // <queries /> becomes <queries>...</queries>
+      const openTag = this.content.slice(parent.start, parent.end).replace(/\s*\/>$/, ">");
+      this.splice(parent.start, parent.end, `${openTag}\n${lines}\n${parentIndent}</${parent.name}>`);
+      return;
+    }
+
+    // Insert on its own line before the closing tag, keeping the closing tag's line
+    const before = this.content.slice(parent.openEnd, parent.closeStart);
+    const lineStart = this.content.lastIndexOf("\n", parent.closeStart - 1) + 1;
+    if (/\n[ \t]*$/.test(before)) {
+      this.splice(lineStart, lineStart, `${lines}\n`);
+    } else {
+      this.splice(parent.closeStart, parent.closeStart, `\n${lines}\n${parentIndent}`);
+    }
+  }
+
+  /**
+   * Find a child element, creating it when missing
+   * @param {Object} parent - Parent element
+   * @param {string} name - Element name
+   * @param {string} before - Name of a sibling the new element is inserted before (optional)
+   * @returns {Object} - The element
+   */
+  ensureChild(parent, name, before) {
+    const existing = this.findChildren(parent, name)[0];
+    if (existing) {
+      return existing;
+    }
+
+    const sibling = before && this.findChildren(parent, before)[0];
+    const parentPath = this.pathOf(parent);
+
+    if (sibling) {
+      const indent = this.indentAt(sibling.start);
+      const lineStart = sibling.start - indent.length;
+      this.splice(lineStart, lineStart, `${indent}<${name}>\n${indent}</${name}>\n\n`);
+    } else {
+      this.appendXml(parent, `<${name}>\n</${name}>`);
+    }
+
+    return this.findElementByPath(parentPath).children.find(
+      (element) => element.name === name
+    );
+  }
+
+  /**
+   * Remove elements, with their lines when they stand on lines of their own
+   * @param {Object[]} elements - Elements of the current parse
+   */
+  removeElements(elements) {
+    // Last first, so the offsets of the others stay valid
+    const sorted = [...elements].sort((a, b) => b.start - a.start);
+
+    for (const element of sorted) {
+      const lineStart = this.content.lastIndexOf("\n", element.start - 1) + 1;
+      const before = this.content.slice(lineStart, element.start);
+      const rest = this.content.slice(element.end).match(/^[ \t]*(\r?\n|$)/);
+
+      if (rest && /^[ \t]*$/.test(before)) {
+        this.splice(lineStart, element.end + rest[0].length, "");
+      } else {
+        this.splice(element.start, element.end, "");
+      }
+    }
+  }
+
+  // Child indexes leading from the document to an element
+  pathOf(element) {
+    const indexes = [];
+    for (let current = element; current.parent; current = current.parent) {
+      indexes.unshift(current.parent.children.indexOf(current));
+    }
+    return indexes;
+  }
+
+  findElementByPath(indexes) {
+    return indexes.reduce((element, index) => element.children[index], this.document);
+  }
+
+  /**
+   * Find the generated block of an element
+   * @param {Object} parent - Element holding the block
+   * @param {string} id - Block name
+   * @returns {{start: number, end: number, indent: string}|null} - Offsets of the block
+   *   lines and their indentation
+   */
+  findGeneratedBlock(parent, id) {
+    const { begin, end } = markers(id);
+    const body = this.content.slice(parent.openEnd, parent.closeStart);
+    const beginIndex = body.indexOf(begin);
+    const endIndex = body.indexOf(end, beginIndex);
+
+    if (beginIndex === -1 || endIndex === -1) {
+      return null;
+    }
+
+    const start = parent.openEnd + beginIndex;
+    const indent = this.indentAt(start);
+    return {
+      start: start - indent.length,
+      end: parent.openEnd + endIndex + end.length,
+      indent,
+    };
+  }
+
+  /**
+   * Elements of an element that are not inside one of its generated blocks
+   * @param {Object} parent - Parent element
+   * @param {string} id - Block name
+   * @returns {Object[]} - Child elements
+   */
+  manualChildren(parent, id) {
+    const block = this.findGeneratedBlock(parent, id);
+    return parent.children.filter(
+      (element) => !block || element.start < block.start || element.start > block.end
+    );
+  }
+
+  /**
+   * Replace the generated block of an element, removing it when there is nothing to generate
+   * @param {Object} parent - Element holding the block
+   * @param {string} id - Block name
+   * @param {string[]} entries - Rendered elements for the block
+   * @returns {boolean} - Whether the content changed
+   */
+  setGeneratedBlock(parent, id, entries) {
+    const { begin, end } = markers(id);
+    const block = this.findGeneratedBlock(parent, id);
+    const previous = this.content;
+
+    if (entries.length === 0) {
+      if (block) {
+        // Remove the block lines including the line break before them
+        const start = this.content.lastIndexOf("\n", block.start - 1);
+        this.splice(start === -1 ? block.start : start, block.end, "");
+      }
+      return this.content !== previous;
+    }
+
+    const xml = [begin, ...entries, end].join("\n");
+
+    if (block) {
+      const lines = xml
+        .split("\n")
+        .map((line) => `${block.indent}${line}`)
+        .join("\n");
+      this.splice(block.start, block.end, lines);
+    } else {
+      this.appendXml(parent, xml);
+    }
+
+    return this.content !== previous;
+  }
+}
+
+module.exports = AndroidManifest;
@@ -0,0 +1,206 @@
+/**
+ * Module to set up Android release signing from config.json
+ * Writes signingConfigs.release and buildTypes.release.signingConfig in the app build file.
+ * The keystore path and key alias come from the config; the passwords are read by Gradle
+ * at build time from environment variables or a git-ignored properties file, so no
+ * secret ends up in the repository.
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const GradleFile = require("./gradle_file");
+const { readConfig } = require("./config");
+const { execFileSync } = require("child_process");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_PROPERTIES_FILE = "android/keystore.properties";
+const DEFAULT_STORE_PASSWORD_ENV = "ANDROID_STORE_PASSWORD";
+const DEFAULT_KEY_PASSWORD_ENV = "ANDROID_KEY_PASSWORD";
+
+// Name of the generated section loading the properties file
+const SIGNING_SECTION = "signing";
+
+// Read a .properties file into an object (key=value or key: value lines)
+function readProperties(filePath) {
+  const properties = {};
+  for (const line of fs.readFileSync(filePath, "utf8").split(/\r?\n/)) {
+    const match = line.match(/^\s*([^#!\s][^=:]*?)\s*[=:]\s*(.*)$/);
+    if (match) {
+      properties[match[1]] = match[2].trim();
+    }
+  }
+  return properties;
+}
+
+// Whether git ignores a file; null when git cannot tell (not a repository, no git)
+function isGitIgnored(filePath) {
+  try {
+    execFileSync("git", ["check-ignore", "-q", filePath], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return error.status === 1 ? false : null;
+  }
+}
+
+// Gradle string literal
+function quote(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\$/g, "\\$")}"`;
+}
+
+// Statements of the generated section that loads the properties file
+function renderPropertiesLoader(propertiesPath, kotlin) {
+  if (kotlin) {
+    return [
+      "val releaseSigningProperties = java.util.Properties().apply {",
+      `    val file = rootProject.file(${quote(propertiesPath)})`,
+      "    if (file.exists()) file.inputStream().use { load(it) }",
+      "}",
+    ];
+  }
+
+  return [
+    "def releaseSigningProperties = new Properties()",
+    `def releaseSigningPropertiesFile = rootProject.file(${quote(propertiesPath)})`,
+    "if (releaseSigningPropertiesFile.exists()) {",
+    "    releaseSigningPropertiesFile.withInputStream { releaseSigningProperties.load(it) }",
+    "}",
+  ];
+}
+
+// Statements of signingConfigs.release: an environment variable wins over the properties file
+function renderSigningConfig(signing, kotlin) {
+  const separator = kotlin ? " = " : " ";
+  const secret = (envName, property) =>
+    `System.getenv(${quote(envName)}) ?: releaseSigningProperties.getProperty(${quote(property)})`;
+
+  return [
+    `storeFile${separator}file(${quote(signing.storeFile)})`,
+    `storePassword${separator}${secret(signing.storePasswordEnv, "storePassword")}`,
+    `keyAlias${separator}${quote(signing.keyAlias)}`,
+    `keyPassword${separator}${secret(signing.keyPasswordEnv, "keyPassword")}`,
+  ];
+}
+
+// Warn about what would make the release build fail to sign or leak the passwords
+function checkSecrets(signing) {
+  const properties = fs.existsSync(signing.propertiesFile) ? readProperties(signing.propertiesFile) : {};
+
+  if (fs.existsSync(signing.propertiesFile) && isGitIgnored(signing.propertiesFile) === false) {
+    log(
+      `Warning: ${signing.propertiesFile} holds signing passwords but is not ignored by git. Add it to .gitignore.`,
+      colors.yellow
+    );
+  }
+
+  for (const [envName, property] of [
+    [signing.storePasswordEnv, "storePassword"],
+    [signing.keyPasswordEnv, "keyPassword"],
+  ]) {
+    if (process.env[envName]) {
+      log(`${property} is read from $${envName}`, colors.blue);
+    } else if (properties[property]) {
+      log(`${property} is read from ${signing.propertiesFile}`, colors.blue);
+    } else {
+      log(
+        `Warning: Neither $${envName} nor ${property} in ${signing.propertiesFile} is set; release builds will fail to sign`,
+        colors.yellow
+      );
+    }
+  }
+
+  if (!fs.existsSync(signing.storeFilePath)) {
+    log(`Warning: Keystore ${signing.storeFilePath} not found`, colors.yellow);
+  }
+}
+
+/**
+ * Setup release signing in the Android app build file
+ * @param {string} configFile - Path to configuration file
+ * @param {Object} options - Additional options
+ * @returns {boolean} - Success or failure
+ */
+function setupAndroidSigning(configFile, options = {}) {
+  // Default options
+  const defaultOptions = {
+    androidPath: "android",
+  };
+
+  // Combine default options with provided options
+  const config = { ...defaultOptions, ...options };
+
+  const signingConfig = readConfig(configFile).android_signing;
+  if (!signingConfig) {
+    log("No android_signing in the config file, skipping release signing setup", colors.yellow);
+    return false;
+  }
+
+  log("Starting Android release signing setup", colors.green);
+
+  const appPath = path.join(config.androidPath, "app");
+  const gradlePath = GradleFile.find(appPath);
+  if (!gradlePath) {
+    throw new Error(`No build.gradle or build.gradle.kts found in ${appPath}!`);
+  }
+
+  // Config paths are relative to the project root; Gradle resolves file() from the
+  // app module and rootProject.file() from the android directory
+  const signing = {
+    storeFilePath: signingConfig.store_file,
+    storeFile: path.relative(appPath, signingConfig.store_file).split(path.sep).join("/"),
+    keyAlias: signingConfig.key_alias,
+    storePasswordEnv: signingConfig.store_password_env || DEFAULT_STORE_PASSWORD_ENV,
+    keyPasswordEnv: signingConfig.key_password_env || DEFAULT_KEY_PASSWORD_ENV,
+    propertiesFile: signingConfig.properties_file || DEFAULT_PROPERTIES_FILE,
+  };
+  const propertiesPath = path.relative(config.androidPath, signing.propertiesFile).split(path.sep).join("/");
+
+  const gradleFile = GradleFile.read(gradlePath);
+  const kotlin = gradleFile.kotlin;
+
+  gradleFile.setGeneratedSection(SIGNING_SECTION, renderPropertiesLoader(propertiesPath, kotlin));
+
+  // The Kotlin DSL names signing configs and build types with create()/getByName()
+  const signingBlock = kotlin ? 'android.signingConfigs.create("release")' : "android.signingConfigs.release";
+  if (!gradleFile.setBlock(signingBlock, renderSigningConfig(signing, kotlin), "buildTypes")) {
+    throw new Error(`No android block found in ${gradlePath}`);
+  }
+
+  const releaseBlock = kotlin
+    ? 'android.buildTypes.getByName("release")'
+    : "android.buildTypes.release";
+  if (!gradleFile.findBlock(releaseBlock)) {
+    gradleFile.setBlock(releaseBlock, []);
+  }
+  gradleFile.setStatement(
+    releaseBlock,
+    "signingConfig",
+    kotlin ? 'signingConfigs.getByName("release")' : "signingConfigs.release"
+  );
+
+  if (gradleFile.write(gradlePath)) {
+    log(`Release signing written to ${gradlePath} (key ${signing.keyAlias})`, colors.green);
+  } else {
+    log("Release signing is already up to date", colors.green);
+  }
+
+  checkSecrets(signing);
+
+  log("=== Android release signing setup complete ===", colors.green);
+  return true;
+}
+
+module.exports = setupAndroidSigning;
@@ -3,9 +3,11 @@
  * This module generates iOS app icons and logos directly in the iOS project
  */
 
-const fs = require("fs");
+const fs = require("./vfs");
 const path = require("path");
-const { execSync } = require("child_process");
+const { readConfig } = require("./config");
+const images = require("./images");
+const { findAssetCatalog } = require("./asset_catalog");
 
 // Console colors for better output
 const colors = {
@@ -26,19 +28,94 @@ const DEFAULT_CONFIG_FILE = "./build.config.json";
 const DEFAULT_APP_ICON = "";
 const DEFAULT_LOGO_ICON = "";
 const DEFAULT_IOS_PROJECT_NAME = "MyApp";
+const DEFAULT_IOS_ICON_IDIOMS = ["iphone", "ipad"];
+
+// AppIcon.appiconset slots per configurable idiom. Every slot becomes one Contents.json
+// image per scale; the file is named after its pixel size, so slots share files.
+// "single" is the Xcode 14+ single-size icon, which replaces the iphone/ipad sets.
+const APP_ICON_SLOTS = {
+  iphone: [
+    { idiom: "iphone", size: 20, scales: [2, 3] },
+    { idiom: "iphone", size: 29, scales: [1, 2, 3] },
+    { idiom: "iphone", size: 40, scales: [2, 3] },
+    { idiom: "iphone", size: 57, scales: [1, 2] },
+    { idiom: "iphone", size: 60, scales: [2, 3] },
+    { idiom: "ios-marketing", size: 1024, scales: [1] },
+  ],
+  ipad: [
+    { idiom: "ipad", size: 20, scales: [1, 2] },
+    { idiom: "ipad", size: 29, scales: [1, 2] },
+    { idiom: "ipad", size: 40, scales: [1, 2] },
+    { idiom: "ipad", size: 50, scales: [1, 2] },
+    { idiom: "ipad", size: 72, scales: [1, 2] },
+    { idiom: "ipad", size: 76, scales: [1, 2] },
+    { idiom: "ipad", size: 83.5, scales: [2] },
+    { idiom: "ios-marketing", size: 1024, scales: [1] },
+  ],
+  single: [{ idiom: "universal", platform: "ios", size: 1024 }],
+  mac: [
+    { idiom: "mac", size: 16, scales: [1, 2] },
+    { idiom: "mac", size: 32, scales: [1, 2] },
+    { idiom: "mac", size: 128, scales: [1, 2] },
+    { idiom: "mac", size: 256, scales: [1, 2] },
+    { idiom: "mac", size: 512, scales: [1, 2] },
+  ],
+  watch: [
+    { idiom: "watch", role: "notificationCenter", subtype: "38mm", size: 24, scales: [2] },
+    { idiom: "watch", role: "notificationCenter", subtype: "42mm", size: 27.5, scales: [2] },
+    { idiom: "watch", role: "companionSettings", size: 29, scales: [2, 3] },
+    { idiom: "watch", role: "notificationCenter", subtype: "45mm", size: 33, scales: [2] },
+    { idiom: "watch", role: "appLauncher", subtype: "38mm", size: 40, scales: [2] },
+    { idiom: "watch", role: "appLauncher", subtype: "40mm", size: 44, scales: [2] },
+    { idiom: "watch", role: "appLauncher", subtype: "41mm", size: 46, scales: [2] },
+    { idiom: "watch", role: "appLauncher", subtype: "44mm", size: 50, scales: [2] },
+    { idiom: "watch", role: "appLauncher", subtype: "45mm", size: 51, scales: [2] },
+    { idiom: "watch", role: "appLauncher", subtype: "49mm", size: 54, scales: [2] },
+    { idiom: "watch", role: "quickLook", subtype: "38mm", size: 86, scales: [2] },
+    { idiom: "watch", role: "quickLook", subtype: "42mm", size: 98, scales: [2] },
+    { idiom: "watch", role: "quickLook", subtype: "44mm", size: 108, scales: [2] },
+    { idiom: "watch", role: "quickLook", subtype: "45mm", size: 117, scales: [2] },
+    { idiom: "watch", role: "quickLook", subtype: "49mm", size: 129, scales: [2] },
+    { idiom: "watch-marketing", size: 1024, scales: [1] },
+  ],
+};
 
-// Load configuration from file
-function loadConfig(configFile, options = {}) {
-  if (!fs.existsSync(configFile)) {
-    log(`Error: Config file ${configFile} not found!`, colors.red);
-    throw new Error(`Config file ${configFile} not found!`);
+// Contents.json images for the selected idioms, with the pixel size of each file
+function buildAppIconImages(idioms) {
+  const images = [];
+  const seen = new Set();
+
+  for (const idiom of idioms) {
+    for (const slot of APP_ICON_SLOTS[idiom]) {
+      for (const scale of slot.scales || [null]) {
+        const pixels = Math.round(slot.size * (scale || 1));
+
+        // Keys in alphabetical order, like Xcode writes them
+        const image = { filename: `${pixels}.png`, idiom: slot.idiom };
+        if (slot.platform) image.platform = slot.platform;
+        if (slot.role) image.role = slot.role;
+        if (scale) image.scale = `${scale}x`;
+        image.size = `${slot.size}x${slot.size}`;
+        if (slot.subtype) image.subtype = slot.subtype;
+
+        const key = JSON.stringify(image);
+        if (!seen.has(key)) {
+          seen.add(key);
+          images.push({ image, pixels });
+        }
+      }
+    }
   }
 
+  return images;
+}
+
+// Load configuration from file
+function loadConfig(configFile, options = {}) {
   log(`Loading configuration from ${configFile}...`, colors.blue);
 
   try {
-    const configData = fs.readFileSync(configFile, "utf8");
-    const config = JSON.parse(configData);
+    const config = readConfig(configFile);
 
     // Get values from config file if not provided in options
     return {
@@ -48,9 +125,13 @@ function loadConfig(configFile, options = {}) {
         options.iosProjectName ||
         config.ios_project_name ||
         DEFAULT_IOS_PROJECT_NAME,
+      iosIconIdioms:
+        options.iosIconIdioms ||
+        config.ios_icon_idioms ||
+        DEFAULT_IOS_ICON_IDIOMS,
     };
   } catch (error) {
-    log(`Error parsing config file: ${error.message}`, colors.red);
+    log(`Error: ${error.message}`, colors.red);
     throw error;
   }
 }
@@ -58,7 +139,7 @@ function loadConfig(configFile, options = {}) {
 // Generate app icons and logo
 function generateAppAssets(options) {
   const configFile = options.configFile || DEFAULT_CONFIG_FILE;
-  let appIcon, logoIcon, iosProjectName;
+  let appIcon, logoIcon, iosProjectName, iosIconIdioms;
 
   try {
     // If appIcon, logoIcon, or iosProjectName are directly provided, use them
@@ -67,11 +148,13 @@ function generateAppAssets(options) {
       appIcon = options.appIcon;
       logoIcon = options.logoIcon;
       iosProjectName = options.iosProjectName;
+      iosIconIdioms = options.iosIconIdioms || DEFAULT_IOS_ICON_IDIOMS;
     } else {
       const config = loadConfig(configFile, options);
       appIcon = config.appIcon;
       logoIcon = config.logoIcon;
       iosProjectName = config.iosProjectName;
+      iosIconIdioms = config.iosIconIdioms;
     }
   } catch (error) {
     log(`Failed to load configuration: ${error.message}`, colors.red);
@@ -113,91 +196,50 @@ function generateAppAssets(options) {
     }
   }
 
-  // Check if ImageMagick is installed
-  let convertCmd = "";
-  try {
-    execSync("magick -version", { stdio: "ignore" });
-    convertCmd = "magick";
-  } catch (error) {
-    try {
-      execSync("convert -version", { stdio: "ignore" });
-      convertCmd = "convert";
-    } catch (error) {
-      log(
-        "Error: ImageMagick is not installed. Please install it using:",
-        colors.red
-      );
-      log("  brew install imagemagick", colors.yellow);
-      return false;
-    }
-  }
-
   // Generate app icons directly into iOS project assets directory
   log("Generating iOS app icons...", colors.blue);
 
+  // The single-size icon replaces the per-size iPhone and iPad icons
+  const perSizeIdioms = ["iphone", "ipad"];
+  if (
+    iosIconIdioms.includes("single") &&
+    iosIconIdioms.some((idiom) => perSizeIdioms.includes(idiom))
+  ) {
+    log(
+      'Warning: ios_icon_idioms "single" replaces "iphone" and "ipad", ignoring them.',
+      colors.yellow
+    );
+    iosIconIdioms = iosIconIdioms.filter((idiom) => !perSizeIdioms.includes(idiom));
+  }
+
   // Create AppIcon.appiconset directory directly in the iOS project
-  const appiconset = `ios/${iosProjectName}/Images.xcassets/AppIcon.appiconset`;
+  const assetCatalog = findAssetCatalog(iosProjectName);
+  const appiconset = `${assetCatalog}/AppIcon.appiconset`;
   fs.mkdirSync(appiconset, { recursive: true });
 
-  // Create Contents.json file for AppIcon with all icon sizes from provided Content.json
-  fs.writeFileSync(`${appiconset}/Contents.json`, APPICON_CONTENTS_JSON);
-
-  // Function to extract size from a filename
-  function extractSize(filename, sizeInfo) {
-    // Extract width and height from size_info (format: "WxH")
-    const [width, height] = sizeInfo.split("x");
-
-    log(`Creating ${filename} (${width}x${height})...`, colors.blue);
-    execSync(
-      `${convertCmd} "${appIcon}" -resize ${width}x${height} "${appiconset}/${filename}"`
-    );
+  // Create Contents.json file for AppIcon with the slots of the targeted idioms
+  const iconImages = buildAppIconImages(iosIconIdioms);
+  const contents = {
+    images: iconImages.map(({ image }) => image),
+    info: { author: "xcode", version: 1 },
+  };
+  fs.writeFileSync(`${appiconset}/Contents.json`, JSON.stringify(contents, null, 2) + "\n");
+
+  // Generate every distinct icon size once
+  log(`Generating icon sizes for ${iosIconIdioms.join(", ")}...`, colors.blue);
+  const iconSizes = new Map(iconImages.map(({ image, pixels }) => [image.filename, pixels]));
+
+  for (const [filename, pixels] of iconSizes) {
+    log(`Creating ${filename} (${pixels}x${pixels})...`, colors.blue);
+    images.resizeImage(appIcon, `${appiconset}/${filename}`, pixels, pixels);
   }
 
-  // Generate all the required icon sizes
-  log("Generating all icon sizes from source image...", colors.blue);
-  const iconSizes = [
-    ["16.png", "16x16"],
-    ["20.png", "20x20"],
-    ["29.png", "29x29"],
-    ["32.png", "32x32"],
-    ["40.png", "40x40"],
-    ["48.png", "48x48"],
-    ["50.png", "50x50"],
-    ["55.png", "55x55"],
-    ["57.png", "57x57"],
-    ["58.png", "58x58"],
-    ["60.png", "60x60"],
-    ["64.png", "64x64"],
-    ["66.png", "66x66"],
-    ["72.png", "72x72"],
-    ["76.png", "76x76"],
-    ["80.png", "80x80"],
-    ["87.png", "87x87"],
-    ["88.png", "88x88"],
-    ["92.png", "92x92"],
-    ["100.png", "100x100"],
-    ["102.png", "102x102"],
-    ["108.png", "108x108"],
-    ["114.png", "114x114"],
-    ["120.png", "120x120"],
-    ["128.png", "128x128"],
-    ["144.png", "144x144"],
-    ["152.png", "152x152"],
-    ["167.png", "167x167"],
-    ["172.png", "172x172"],
-    ["180.png", "180x180"],
-    ["196.png", "196x196"],
-    ["216.png", "216x216"],
-    ["234.png", "234x234"],
-    ["256.png", "256x256"],
-    ["258.png", "258x258"],
-    ["512.png", "512x512"],
-    ["1024.png", "1024x1024"],
-  ];
-
-  // Process each icon size
-  for (const [filename, size] of iconSizes) {
-    extractSize(filename, size);
+  // Remove icons of idioms that are no longer targeted
+  for (const file of fs.readdirSync(appiconset)) {
+    if (/^\d+\.png$/.test(file) && !iconSizes.has(file)) {
+      fs.unlinkSync(`${appiconset}/${file}`);
+      log(`Removed unused ${file}`, colors.yellow);
+    }
   }
 
   log(`App icons generated successfully at: ${appiconset}`, colors.green);
@@ -207,24 +249,15 @@ function generateAppAssets(options) {
     log("Generating ic_logo image set...", colors.blue);
 
     // Create ic_logo.imageset directory directly in the iOS project
-    const logoDir = `ios/${iosProjectName}/Images.xcassets/ic_logo.imageset`;
+    const logoDir = `${assetCatalog}/ic_logo.imageset`;
     fs.mkdirSync(logoDir, { recursive: true });
 
     // Get logo dimensions
+    const logoSize = images.getImageSize(logoIcon);
     let logoDimensions;
-    try {
-      if (convertCmd === "magick") {
-        logoDimensions = execSync(
-          `magick identify -format "%wx%h" "${logoIcon}"`
-        )
-          .toString()
-          .trim();
-      } else {
-        logoDimensions = execSync(`identify -format "%wx%h" "${logoIcon}"`)
-          .toString()
-          .trim();
-      }
-    } catch (error) {
+    if (logoSize) {
+      logoDimensions = `${logoSize.width}x${logoSize.height}`;
+    } else {
       log(
         "Warning: Could not get logo dimensions. Assuming it needs resizing.",
         colors.yellow
@@ -237,22 +270,16 @@ function generateAppAssets(options) {
         `Warning: Logo image is ${logoDimensions}, not 64x64. Resizing...`,
         colors.yellow
       );
-      execSync(
-        `${convertCmd} "${logoIcon}" -resize 64x64 "${logoDir}/ic_logo.png"`
-      );
+      images.resizeImage(logoIcon, `${logoDir}/ic_logo.png`, 64, 64);
     } else {
       fs.copyFileSync(logoIcon, `${logoDir}/ic_logo.png`);
     }
 
     // Generate @2x version (128x128)
-    execSync(
-      `${convertCmd} "${logoIcon}" -resize 128x128 "${logoDir}/ic_logo@2x.png"`
-    );
+    images.resizeImage(logoIcon, `${logoDir}/ic_logo@2x.png`, 128, 128);
 
     // Generate @3x version (192x192)
-    execSync(
-      `${convertCmd} "${logoIcon}" -resize 192x192 "${logoDir}/ic_logo@3x.png"`
-    );
+    images.resizeImage(logoIcon, `${logoDir}/ic_logo@3x.png`, 192, 192);
 
     // Create Contents.json for ic_logo
     const logoContentsJson = `{
@@ -284,363 +311,11 @@ function generateAppAssets(options) {
   }
 
   log(
-    "App icons and logo generated directly in the iOS project's Images.xcassets directory.",
+    `App icons and logo generated directly in the iOS project's ${path.basename(assetCatalog)} directory.`,
     colors.green
   );
   return true;
 }
 
-// AppIcon Contents.json
-const APPICON_CONTENTS_JSON = `{
-  "images": [
-    {
-      "filename": "40.png",
-      "idiom": "iphone",
-      "scale": "2x",
-      "size": "20x20"
-    },
-    {
-      "filename": "60.png",
-      "idiom": "iphone",
-      "scale": "3x",
-      "size": "20x20"
-    },
-    {
-      "filename": "29.png",
-      "idiom": "iphone",
-      "scale": "1x",
-      "size": "29x29"
-    },
-    {
-      "filename": "58.png",
-      "idiom": "iphone",
-      "scale": "2x",
-      "size": "29x29"
-    },
-    {
-      "filename": "87.png",
-      "idiom": "iphone",
-      "scale": "3x",
-      "size": "29x29"
-    },
-    {
-      "filename": "80.png",
-      "idiom": "iphone",
-      "scale": "2x",
-      "size": "40x40"
-    },
-    {
-      "filename": "120.png",
-      "idiom": "iphone",
-      "scale": "3x",
-      "size": "40x40"
-    },
-    {
-      "filename": "57.png",
-      "idiom": "iphone",
-      "scale": "1x",
-      "size": "57x57"
-    },
-    {
-      "filename": "114.png",
-      "idiom": "iphone",
-      "scale": "2x",
-      "size": "57x57"
-    },
-    {
-      "filename": "120.png",
-      "idiom": "iphone",
-      "scale": "2x",
-      "size": "60x60"
-    },
-    {
-      "filename": "180.png",
-      "idiom": "iphone",
-      "scale": "3x",
-      "size": "60x60"
-    },
-    {
-      "filename": "20.png",
-      "idiom": "ipad",
-      "scale": "1x",
-      "size": "20x20"
-    },
-    {
-      "filename": "40.png",
-      "idiom": "ipad",
-      "scale": "2x",
-      "size": "20x20"
-    },
-    {
-      "filename": "29.png",
-      "idiom": "ipad",
-      "scale": "1x",
-      "size": "29x29"
-    },
-    {
-      "filename": "58.png",
-      "idiom": "ipad",
-      "scale": "2x",
-      "size": "29x29"
-    },
-    {
-      "filename": "40.png",
-      "idiom": "ipad",
-      "scale": "1x",
-      "size": "40x40"
-    },
-    {
-      "filename": "80.png",
-      "idiom": "ipad",
-      "scale": "2x",
-      "size": "40x40"
-    },
-    {
-      "filename": "50.png",
-      "idiom": "ipad",
-      "scale": "1x",
-      "size": "50x50"
-    },
-    {
-      "filename": "100.png",
-      "idiom": "ipad",
-      "scale": "2x",
-      "size": "50x50"
-    },
-    {
-      "filename": "72.png",
-      "idiom": "ipad",
-      "scale": "1x",
-      "size": "72x72"
-    },
-    {
-      "filename": "144.png",
-      "idiom": "ipad",
-      "scale": "2x",
-      "size": "72x72"
-    },
-    {
-      "filename": "76.png",
-      "idiom": "ipad",
-      "scale": "1x",
-      "size": "76x76"
-    },
-    {
-      "filename": "152.png",
-      "idiom": "ipad",
-      "scale": "2x",
-      "size": "76x76"
-    },
-    {
-      "filename": "167.png",
-      "idiom": "ipad",
-      "scale": "2x",
-      "size": "83.5x83.5"
-    },
-    {
-      "filename": "1024.png",
-      "idiom": "ios-marketing",
-      "scale": "1x",
-      "size": "1024x1024"
-    },
-    {
-      "filename": "16.png",
-      "idiom": "mac",
-      "scale": "1x",
-      "size": "16x16"
-    },
-    {
-      "filename": "32.png",
-      "idiom": "mac",
-      "scale": "2x",
-      "size": "16x16"
-    },
-    {
-      "filename": "32.png",
-      "idiom": "mac",
-      "scale": "1x",
-      "size": "32x32"
-    },
-    {
-      "filename": "64.png",
-      "idiom": "mac",
-      "scale": "2x",
-      "size": "32x32"
-    },
-    {
-      "filename": "128.png",
-      "idiom": "mac",
-      "scale": "1x",
-      "size": "128x128"
-    },
-    {
-      "filename": "256.png",
-      "idiom": "mac",
-      "scale": "2x",
-      "size": "128x128"
-    },
-    {
-      "filename": "256.png",
-      "idiom": "mac",
-      "scale": "1x",
-      "size": "256x256"
-    },
-    {
-      "filename": "512.png",
-      "idiom": "mac",
-      "scale": "2x",
-      "size": "256x256"
-    },
-    {
-      "filename": "512.png",
-      "idiom": "mac",
-      "scale": "1x",
-      "size": "512x512"
-    },
-    {
-      "filename": "1024.png",
-      "idiom": "mac",
-      "scale": "2x",
-      "size": "512x512"
-    },
-    {
-      "filename": "48.png",
-      "idiom": "watch",
-      "role": "notificationCenter",
-      "scale": "2x",
-      "size": "24x24",
-      "subtype": "38mm"
-    },
-    {
-      "filename": "55.png",
-      "idiom": "watch",
-      "role": "notificationCenter",
-      "scale": "2x",
-      "size": "27.5x27.5",
-      "subtype": "42mm"
-    },
-    {
-      "filename": "58.png",
-      "idiom": "watch",
-      "role": "companionSettings",
-      "scale": "2x",
-      "size": "29x29"
-    },
-    {
-      "filename": "87.png",
-      "idiom": "watch",
-      "role": "companionSettings",
-      "scale": "3x",
-      "size": "29x29"
-    },
-    {
-      "filename": "66.png",
-      "idiom": "watch",
-      "role": "notificationCenter",
-      "scale": "2x",
-      "size": "33x33",
-      "subtype": "45mm"
-    },
-    {
-      "filename": "80.png",
-      "idiom": "watch",
-      "role": "appLauncher",
-      "scale": "2x",
-      "size": "40x40",
-      "subtype": "38mm"
-    },
-    {
-      "filename": "88.png",
-      "idiom": "watch",
-      "role": "appLauncher",
-      "scale": "2x",
-      "size": "44x44",
-      "subtype": "40mm"
-    },
-    {
-      "filename": "92.png",
-      "idiom": "watch",
-      "role": "appLauncher",
-      "scale": "2x",
-      "size": "46x46",
-      "subtype": "41mm"
-    },
-    {
-      "filename": "100.png",
-      "idiom": "watch",
-      "role": "appLauncher",
-      "scale": "2x",
-      "size": "50x50",
-      "subtype": "44mm"
-    },
-    {
-      "filename": "102.png",
-      "idiom": "watch",
-      "role": "appLauncher",
-      "scale": "2x",
-      "size": "51x51",
-      "subtype": "45mm"
-    },
-    {
-      "filename": "108.png",
-      "idiom": "watch",
-      "role": "appLauncher",
-      "scale": "2x",
-      "size": "54x54",
-      "subtype": "49mm"
-    },
-    {
-      "filename": "172.png",
-      "idiom": "watch",
-      "role": "quickLook",
-      "scale": "2x",
-      "size": "86x86",
-      "subtype": "38mm"
-    },
-    {
-      "filename": "196.png",
-      "idiom": "watch",
-      "role": "quickLook",
-      "scale": "2x",
-      "size": "98x98",
-      "subtype": "42mm"
-    },
-    {
-      "filename": "216.png",
-      "idiom": "watch",
-      "role": "quickLook",
-      "scale": "2x",
-      "size": "108x108",
-      "subtype": "44mm"
-    },
-    {
-      "filename": "234.png",
-      "idiom": "watch",
-      "role": "quickLook",
-      "scale": "2x",
-      "size": "117x117",
-      "subtype": "45mm"
-    },
-    {
-      "filename": "258.png",
-      "idiom": "watch",
-      "role": "quickLook",
-      "scale": "2x",
-      "size": "129x129",
-      "subtype": "49mm"
-    },
-    {
-      "filename": "1024.png",
-      "idiom": "watch-marketing",
-      "scale": "1x",
-      "size": "1024x1024"
-    }
-  ],
-  "info": {
-    "author": "xcode",
-    "version": 1
-  }
-}`;
-
 // Export the function
 module.exports = generateAppAssets;
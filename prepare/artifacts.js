@@ -0,0 +1,266 @@
+/**
+ * Module to collect release artifacts
+ * Copies the built .ipa (or the .xcarchive when none was exported) and .aab into
+ * dist/<bundle id>/<version>+<build>/ (+ios<build>-android<build> when the platforms'
+ * build numbers differ) next to a release.json manifest recording what went into them:
+ * bundle id, version, build numbers, git commit, config hash and the SHA-256 of every
+ * artifact
+ */
+
+const fs = require("./vfs");
+const nodeFs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const GradleFile = require("./gradle_file");
+const { readConfig, getEnvironment } = require("./config");
+const { readIosBuildNumber, readAndroidVersionCode } = require("./build_number");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_DIST_PATH = "dist";
+const DEFAULT_SNAPSHOT_PATH = "./.prepare";
+const MANIFEST_NAME = "release.json";
+
+// Where release.sh leaves the build outputs
+const IPA_EXPORT_DIR = "ios/build/export";
+const AAB_PATH = "android/app/build/outputs/bundle/release/app-release.aab";
+const MAPPING_PATH = "android/app/build/outputs/mapping/release/mapping.txt";
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Hash and size of a directory artifact (.xcarchive): its sorted relative paths with
+// their contents, symbolic links by their target
+function hashDirectory(dirPath) {
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+
+  const visit = (relative) => {
+    const entries = nodeFs
+      .readdirSync(path.join(dirPath, relative), { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : 1));
+
+    for (const entry of entries) {
+      const entryPath = path.join(relative, entry.name);
+      const fullPath = path.join(dirPath, entryPath);
+      hash.update(`${entryPath.split(path.sep).join("/")}\0`);
+
+      if (entry.isSymbolicLink()) {
+        hash.update(`-> ${nodeFs.readlinkSync(fullPath)}\0`);
+      } else if (entry.isDirectory()) {
+        visit(entryPath);
+      } else {
+        const content = nodeFs.readFileSync(fullPath);
+        size += content.length;
+        hash.update(content);
+      }
+    }
+  };
+
+  visit("");
+  return { size, sha256: hash.digest("hex") };
+}
+
+// Output of a git command, or null outside a repository
+function git(args) {
+  try {
+    return execFileSync("git", args, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Content of a file in the HEAD commit, or null when it is not tracked
+function gitShow(filePath) {
+  try {
+    return execFileSync("git", ["show", `HEAD:./${filePath}`], { stdio: ["ignore", "pipe", "ignore"] });
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether the working tree has changes that did not come from prepare. release.sh runs
+// prepare right before the build, so the files of its last run count by their content
+// before it (kept in the snapshot); the snapshots and dist/ are ignored.
+function hasSourceChanges(snapshotPath, distPath) {
+  const manifestPath = path.join(snapshotPath, "last-run", "manifest.json");
+  const prepared = new Map();
+  if (fs.existsSync(manifestPath)) {
+    for (const file of JSON.parse(fs.readFileSync(manifestPath, "utf8")).files) {
+      prepared.set(path.normalize(file.path), file);
+    }
+  }
+
+  const ignored = [snapshotPath, distPath].map((dir) => `${path.normalize(dir)}${path.sep}`);
+  const changed = git(["-c", "core.quotePath=false", "status", "--short", "--untracked-files=all"])
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => path.normalize(line.replace(/^\s*\S{1,2}\s+/, "").replace(/^.* -> /, "").replace(/^"|"$/g, "")))
+    .filter((filePath) => !ignored.some((dir) => filePath.startsWith(dir)));
+
+  return changed.some((filePath) => {
+    const file = prepared.get(filePath);
+    if (!file) {
+      return true;
+    }
+    const before = file.existed ? fs.readFileSync(path.join(snapshotPath, "last-run", file.snapshot)) : null;
+    const head = gitShow(filePath);
+    return before === null || head === null ? before !== head : !before.equals(head);
+  });
+}
+
+// Built files of each platform that exist
+function findArtifacts(platform, iosProjectName) {
+  const artifacts = [];
+
+  if (platform === "ios" || platform === "all") {
+    const ipaNames = fs.existsSync(IPA_EXPORT_DIR)
+      ? fs.readdirSync(IPA_EXPORT_DIR).filter((name) => name.endsWith(".ipa"))
+      : [];
+    for (const name of ipaNames) {
+      artifacts.push({ platform: "ios", source: path.join(IPA_EXPORT_DIR, name) });
+    }
+
+    // Without ios_export release.sh stops at the archive
+    const archivePath = `ios/build/${iosProjectName}.xcarchive`;
+    if (ipaNames.length === 0 && fs.existsSync(archivePath)) {
+      artifacts.push({ platform: "ios", source: archivePath, directory: true });
+    } else if (ipaNames.length === 0) {
+      log(`Warning: No .ipa in ${IPA_EXPORT_DIR} and no ${archivePath}`, colors.yellow);
+    }
+  }
+
+  if (platform === "android" || platform === "all") {
+    if (fs.existsSync(AAB_PATH)) {
+      artifacts.push({ platform: "android", source: AAB_PATH });
+    } else {
+      log(`Warning: No app bundle found at ${AAB_PATH}`, colors.yellow);
+    }
+
+    // Needed to deobfuscate crash reports of a minified build
+    if (fs.existsSync(MAPPING_PATH)) {
+      artifacts.push({ platform: "android", source: MAPPING_PATH });
+    }
+  }
+
+  return artifacts;
+}
+
+/**
+ * Copy the release artifacts into dist/ and write their release.json manifest
+ * @param {string} configFile - Path to configuration file
+ * @param {Object} options - Additional options
+ * @returns {string|null} - The release directory, or null when nothing was built (not an error:
+ *   release.sh may have built only some platforms)
+ */
+function collectArtifacts(configFile, options = {}) {
+  // Default options
+  const defaultOptions = {
+    platform: "all",
+    iosProjectName: "MyApp",
+    distPath: DEFAULT_DIST_PATH,
+    snapshotPath: DEFAULT_SNAPSHOT_PATH,
+  };
+
+  // Combine default options with provided options
+  const config = { ...defaultOptions, ...options };
+
+  const fileConfig = readConfig(configFile);
+  const artifacts = findArtifacts(config.platform, config.iosProjectName);
+  if (artifacts.length === 0) {
+    log("Warning: No release artifacts to collect, skipping", colors.yellow);
+    return null;
+  }
+
+  // Build numbers of the platforms that were built
+  const builds = {};
+  if (artifacts.some((artifact) => artifact.platform === "ios")) {
+    builds.ios = readIosBuildNumber(`ios/${config.iosProjectName}/Info.plist`);
+  }
+  if (artifacts.some((artifact) => artifact.platform === "android")) {
+    builds.android = readAndroidVersionCode(GradleFile.find("android/app"));
+  }
+
+  // Both platforms normally share one build number (see build_number.js); when they
+  // differ each is named, so the label cannot pass for a single build number
+  const buildNumbers = [...new Set(Object.values(builds))];
+  const buildLabel =
+    buildNumbers.length === 1
+      ? String(buildNumbers[0])
+      : Object.entries(builds)
+          .map(([platform, build]) => `${platform}${build}`)
+          .join("-");
+  const releaseDir = path.join(config.distPath, fileConfig.bundle_id, `${fileConfig.version}+${buildLabel}`);
+
+  if (fs.existsSync(releaseDir)) {
+    log(`Warning: Replacing the artifacts in ${releaseDir}`, colors.yellow);
+  }
+  fs.mkdirSync(releaseDir, { recursive: true });
+
+  const manifestArtifacts = [];
+  for (const artifact of artifacts) {
+    const name = path.basename(artifact.source);
+
+    if (artifact.directory) {
+      // Archives hold framework symlinks, copied as links
+      nodeFs.cpSync(artifact.source, path.join(releaseDir, name), { recursive: true, verbatimSymlinks: true });
+      manifestArtifacts.push({ platform: artifact.platform, file: name, ...hashDirectory(artifact.source) });
+    } else {
+      const content = fs.readFileSync(artifact.source);
+      fs.writeFileSync(path.join(releaseDir, name), content);
+      manifestArtifacts.push({
+        platform: artifact.platform,
+        file: name,
+        size: content.length,
+        sha256: sha256(content),
+      });
+    }
+    log(`Collected ${artifact.source}`, colors.blue);
+  }
+
+  const commit = git(["rev-parse", "HEAD"]);
+  const manifest = {
+    app: fileConfig.display_name,
+    bundle_id: fileConfig.bundle_id,
+    version: fileConfig.version,
+    environment: getEnvironment(),
+    builds,
+    git: commit
+      ? {
+          commit,
+          branch: git(["rev-parse", "--abbrev-ref", "HEAD"]),
+          dirty: hasSourceChanges(config.snapshotPath, config.distPath),
+        }
+      : null,
+    config: {
+      file: configFile,
+      sha256: sha256(fs.readFileSync(configFile)),
+      // Covers everything inherited through "extends" and the environment profile
+      resolved_sha256: sha256(JSON.stringify(fileConfig)),
+    },
+    artifacts: manifestArtifacts,
+    created_at: new Date().toISOString(),
+  };
+
+  fs.writeFileSync(path.join(releaseDir, MANIFEST_NAME), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  log(`Release artifacts collected in ${releaseDir}`, colors.green);
+  return releaseDir;
+}
+
+module.exports = collectArtifacts;
@@ -0,0 +1,102 @@
+/**
+ * Asset Catalog Module
+ * Helpers for the .xcassets asset catalog of the iOS project
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+
+/**
+ * Find the asset catalog of the iOS project: the one that already has the app icon,
+ * otherwise Images.xcassets (React Native template) or Assets.xcassets (Xcode template)
+ * @param {string} iosProjectName - iOS project name
+ * @returns {string} - Path of the asset catalog (created by the caller if missing)
+ */
+function findAssetCatalog(iosProjectName) {
+  const projectDir = `ios/${iosProjectName}`;
+  const catalogs = fs.existsSync(projectDir)
+    ? fs
+        .readdirSync(projectDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && entry.name.endsWith(".xcassets"))
+        .map((entry) => entry.name)
+    : [];
+
+  const withAppIcon = catalogs.find((catalog) =>
+    fs.existsSync(path.join(projectDir, catalog, "AppIcon.appiconset"))
+  );
+  const name =
+    withAppIcon ||
+    ["Images.xcassets", "Assets.xcassets"].find((catalog) => catalogs.includes(catalog)) ||
+    catalogs[0] ||
+    "Images.xcassets";
+
+  return path.join(projectDir, name);
+}
+
+/**
+ * Parse a hex color as used in Android resources (#RGB, #ARGB, #RRGGBB or #AARRGGBB)
+ * @param {string} color - Hex color
+ * @returns {{red: number, green: number, blue: number, alpha: number}} - Components 0-255
+ */
+function parseHexColor(color) {
+  let hex = color.replace(/^#/, "");
+  if (hex.length <= 4) {
+    hex = hex.replace(/./g, (digit) => digit + digit);
+  }
+  if (hex.length === 6) {
+    hex = "ff" + hex;
+  }
+
+  const [alpha, red, green, blue] = [0, 2, 4, 6].map((offset) =>
+    parseInt(hex.slice(offset, offset + 2), 16)
+  );
+  return { red, green, blue, alpha };
+}
+
+// Color entry of a colorset Contents.json
+function colorSetEntry(color) {
+  const { red, green, blue, alpha } = parseHexColor(color);
+  const component = (value) => `0x${value.toString(16).toUpperCase().padStart(2, "0")}`;
+
+  return {
+    "color-space": "srgb",
+    components: {
+      alpha: (alpha / 255).toFixed(3),
+      blue: component(blue),
+      green: component(green),
+      red: component(red),
+    },
+  };
+}
+
+/**
+ * Write a named color to the asset catalog
+ * @param {string} catalog - Asset catalog path
+ * @param {string} name - Color name
+ * @param {string} color - Hex color
+ * @param {string} darkColor - Hex color in dark mode (optional)
+ */
+function writeColorSet(catalog, name, color, darkColor) {
+  const colorSet = path.join(catalog, `${name}.colorset`);
+  const colors = [{ color: colorSetEntry(color), idiom: "universal" }];
+
+  if (darkColor && darkColor !== color) {
+    colors.push({
+      appearances: [{ appearance: "luminosity", value: "dark" }],
+      color: colorSetEntry(darkColor),
+      idiom: "universal",
+    });
+  }
+
+  fs.mkdirSync(colorSet, { recursive: true });
+  fs.writeFileSync(
+    path.join(colorSet, "Contents.json"),
+    JSON.stringify({ colors, info: { author: "xcode", version: 1 } }, null, 2) + "\n"
+  );
+}
+
+module.exports = {
+  findAssetCatalog,
+  parseHexColor,
+  writeColorSet,
+};
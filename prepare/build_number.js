@@ -0,0 +1,156 @@
+/**
+ * Build Number Module
+ * Picks the build number (CFBundleVersion / versionCode) of a release so that iOS and
+ * Android get the same one. Strategies, selected with "build_number.strategy":
+ *   increment - each platform increments its own number (default, the old behavior)
+ *   max       - max(iOS, Android) + 1
+ *   git       - number of commits on HEAD, plus "offset"
+ *   timestamp - minutes since 2020-01-01 UTC, plus "offset"
+ *   counter   - a counter file checked into the repo, incremented on every release
+ */
+
+const fs = require("./vfs");
+const plist = require("./plist");
+const GradleFile = require("./gradle_file");
+const { execFileSync } = require("child_process");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_STRATEGY = "increment";
+const DEFAULT_COUNTER_FILE = "./build_number.txt";
+
+// Start of the timestamp strategy, keeps the numbers small
+const TIMESTAMP_EPOCH = Date.UTC(2020, 0, 1);
+
+// Largest versionCode Google Play accepts
+const MAX_VERSION_CODE = 2100000000;
+
+/**
+ * Current iOS build number
+ * @param {string} plistPath - Path to Info.plist
+ * @returns {number} - CFBundleVersion, or 0 when missing or not a number
+ */
+function readIosBuildNumber(plistPath) {
+  if (!fs.existsSync(plistPath)) {
+    return 0;
+  }
+  const build = parseInt(String(plist.openPlist(plistPath).get("CFBundleVersion") ?? ""), 10);
+  return isNaN(build) ? 0 : build;
+}
+
+/**
+ * Current Android build number
+ * @param {string|null} gradlePath - Path to the app build file
+ * @returns {number} - versionCode, or 0 when missing or not a literal number
+ */
+function readAndroidVersionCode(gradlePath) {
+  if (!gradlePath || !fs.existsSync(gradlePath)) {
+    return 0;
+  }
+  const versionCode = GradleFile.read(gradlePath).getProperty("versionCode");
+  return typeof versionCode === "number" ? versionCode : 0;
+}
+
+// Number of commits on HEAD
+function gitCommitCount() {
+  try {
+    return parseInt(
+      execFileSync("git", ["rev-list", "--count", "HEAD"], {
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "pipe"],
+      }),
+      10
+    );
+  } catch (error) {
+    throw new Error(`Cannot count git commits for the build number: ${error.message.trim()}`);
+  }
+}
+
+// Increment the counter file and return the new value
+function incrementCounter(counterFile) {
+  let current = 0;
+  if (fs.existsSync(counterFile)) {
+    const content = fs.readFileSync(counterFile, "utf8").trim();
+    if (!/^\d+$/.test(content)) {
+      throw new Error(`Build number counter ${counterFile} must contain a single number, found "${content}"`);
+    }
+    current = Number(content);
+  }
+
+  const next = current + 1;
+  fs.writeFileSync(counterFile, `${next}\n`);
+  log(`Build number counter ${counterFile}: ${current} -> ${next}`, colors.blue);
+  return next;
+}
+
+/**
+ * Work out the build number both platforms get
+ * @param {Object} options - Strategy options from the config and the platform files
+ * @returns {number|null} - The build number, or null when each platform increments its own
+ */
+function resolveBuildNumber(options = {}) {
+  // Default options
+  const defaultOptions = {
+    strategy: DEFAULT_STRATEGY,
+    counterFile: DEFAULT_COUNTER_FILE,
+    offset: 0,
+    plistPath: null,
+    gradlePath: null,
+  };
+
+  // Combine default options with provided options, undefined ones keep their default
+  const provided = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const config = { ...defaultOptions, ...provided };
+
+  let buildNumber;
+  switch (config.strategy) {
+    case "increment":
+      return null;
+    case "max": {
+      const ios = config.plistPath ? readIosBuildNumber(config.plistPath) : 0;
+      const android = config.gradlePath ? readAndroidVersionCode(config.gradlePath) : 0;
+      buildNumber = Math.max(ios, android) + 1;
+      break;
+    }
+    case "git":
+      buildNumber = gitCommitCount() + config.offset;
+      break;
+    case "timestamp":
+      buildNumber = Math.floor((Date.now() - TIMESTAMP_EPOCH) / 60000) + config.offset;
+      break;
+    case "counter":
+      buildNumber = incrementCounter(config.counterFile);
+      break;
+    default:
+      throw new Error(`Unknown build number strategy "${config.strategy}"`);
+  }
+
+  if (buildNumber > MAX_VERSION_CODE) {
+    throw new Error(
+      `Build number ${buildNumber} from the ${config.strategy} strategy is above the Android versionCode limit of ${MAX_VERSION_CODE}`
+    );
+  }
+
+  log(`Build number from the ${config.strategy} strategy: ${buildNumber}`, colors.blue);
+  return buildNumber;
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  resolveBuildNumber,
+  readIosBuildNumber,
+  readAndroidVersionCode,
+};
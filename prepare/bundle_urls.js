@@ -3,9 +3,10 @@
  * The Info.plist path is automatically determined from ios_project_name in config.json
  */
 
-const fs = require("fs");
+const fs = require("./vfs");
 const path = require("path");
-const { execSync } = require("child_process");
+const plist = require("./plist");
+const { readConfig, normalizeBundleUrls } = require("./config");
 
 // Console colors for better output
 const colors = {
@@ -30,8 +31,7 @@ function updateIosBundleUrls(configPath = "./config.json") {
   try {
     // Read and parse config file
     log(`Reading config from: ${configPath}`, colors.blue);
-    const configData = fs.readFileSync(configPath, "utf8");
-    const config = JSON.parse(configData);
+    const config = readConfig(configPath);
 
     // Ensure required fields exist
     if (!config.bundle_urls || !Array.isArray(config.bundle_urls)) {
@@ -50,68 +50,56 @@ function updateIosBundleUrls(configPath = "./config.json") {
     }
 
     log(`Using ios_project_name: ${config.ios_project_name}`, colors.blue);
-    log(
-      `Found ${
-        config.bundle_urls.length
-      } bundle URLs: ${config.bundle_urls.join(", ")}`,
-      colors.blue
-    );
-
-    // Use PlistBuddy to modify the plist file without changing its format
-    // This assumes you're on macOS which has PlistBuddy
-
-    // First, remove the existing CFBundleURLTypes if it exists
-    try {
-      execSync(
-        `/usr/libexec/PlistBuddy -c "Delete :CFBundleURLTypes" "${infoPlistPath}"`,
-        { stdio: "ignore" }
-      );
-      log("Removed existing CFBundleURLTypes", colors.yellow);
-    } catch (error) {
-      // Ignore error if the key doesn't exist
-      log(
-        "No existing CFBundleURLTypes found (this is normal for first run)",
-        colors.yellow
-      );
+    const urlTypes = normalizeBundleUrls(config.bundle_urls);
+    const schemes = urlTypes.flatMap((urlType) => urlType.schemes);
+    const names = urlTypes.map((urlType) => urlType.name).filter(Boolean);
+    log(`Found ${urlTypes.length} bundle URLs: ${schemes.join(", ")}`, colors.blue);
+
+    const infoPlist = plist.openPlist(infoPlistPath);
+    const existing = infoPlist.get("CFBundleURLTypes");
+    const existingTypes = Array.isArray(existing) ? existing : [];
+
+    // URL types registered by other SDKs (Facebook, Google Sign-In, ...) are kept;
+    // the ones for a configured scheme or name are replaced
+    const isManaged = (urlType) =>
+      (urlType.CFBundleURLName && names.includes(urlType.CFBundleURLName)) ||
+      (Array.isArray(urlType.CFBundleURLSchemes) &&
+        urlType.CFBundleURLSchemes.some((scheme) => schemes.includes(scheme)));
+
+    const firstManaged = existingTypes.findIndex(isManaged);
+    const otherTypes = existingTypes.filter((urlType) => !isManaged(urlType));
+    if (otherTypes.length > 0) {
+      log(`Keeping ${otherTypes.length} URL types added by other tools`, colors.blue);
     }
 
-    // Create the CFBundleURLTypes array
-    execSync(
-      `/usr/libexec/PlistBuddy -c "Add :CFBundleURLTypes array" "${infoPlistPath}"`
-    );
-    log("Created CFBundleURLTypes array", colors.blue);
-
-    // Add entries for each bundle URL
-    config.bundle_urls.forEach((url, index) => {
-      log(`Adding bundle URL: ${url} (index: ${index})`, colors.blue);
-
-      // Add a new dict to the CFBundleURLTypes array
-      execSync(
-        `/usr/libexec/PlistBuddy -c "Add :CFBundleURLTypes:${index} dict" "${infoPlistPath}"`
-      );
-
-      // Add CFBundleTypeRole
-      execSync(
-        `/usr/libexec/PlistBuddy -c "Add :CFBundleURLTypes:${index}:CFBundleTypeRole string Editor" "${infoPlistPath}"`
+    // Create an entry for each bundle URL
+    const managedTypes = urlTypes.map((urlType) => {
+      log(
+        `Adding bundle URL: ${urlType.schemes.join(", ")}${urlType.name ? ` (${urlType.name})` : ""}`,
+        colors.blue
       );
 
-      // Add CFBundleURLName for the second entry as per example
-      if (index === 1) {
-        execSync(
-          `/usr/libexec/PlistBuddy -c "Add :CFBundleURLTypes:${index}:CFBundleURLName string 'sso login'" "${infoPlistPath}"`
-        );
+      const entry = { CFBundleTypeRole: urlType.role };
+      if (urlType.name) {
+        entry.CFBundleURLName = urlType.name;
       }
+      entry.CFBundleURLSchemes = [...urlType.schemes];
+      return entry;
+    });
 
-      // Add CFBundleURLSchemes array
-      execSync(
-        `/usr/libexec/PlistBuddy -c "Add :CFBundleURLTypes:${index}:CFBundleURLSchemes array" "${infoPlistPath}"`
-      );
+    // Managed types stay where they were in the list
+    const position = firstManaged === -1
+      ? otherTypes.length
+      : existingTypes.slice(0, firstManaged).filter((urlType) => !isManaged(urlType)).length;
+    otherTypes.splice(position, 0, ...managedTypes);
 
-      // Add URL to CFBundleURLSchemes array
-      execSync(
-        `/usr/libexec/PlistBuddy -c "Add :CFBundleURLTypes:${index}:CFBundleURLSchemes:0 string ${url}" "${infoPlistPath}"`
-      );
-    });
+    if (otherTypes.length > 0) {
+      infoPlist.set("CFBundleURLTypes", otherTypes);
+    } else {
+      infoPlist.delete("CFBundleURLTypes");
+    }
+    infoPlist.save();
+    log("Updated CFBundleURLTypes array", colors.blue);
 
     log(
       "✅ Info.plist updated successfully with bundle URLs from config file!",
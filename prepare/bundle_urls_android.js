@@ -0,0 +1,123 @@
+/**
+ * Module to add deep-link intent filters for bundle_urls from config.json
+ * Every URL scheme gets an <intent-filter> on the launcher activity in AndroidManifest.xml,
+ * the Android counterpart of the CFBundleURLTypes written by bundle_urls.js
+ */
+
+const fs = require("./vfs");
+const AndroidManifest = require("./android_manifest");
+const { readConfig, normalizeBundleUrls } = require("./config");
+
+// Default values
+const DEFAULT_MANIFEST_PATH = "android/app/src/main/AndroidManifest.xml";
+
+// Name of the generated block inside the activity
+const BUNDLE_URLS_BLOCK = "bundle_urls";
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Whether an <intent-filter> has a child with the given name attribute
+function hasChildNamed(manifest, filter, elementName, name) {
+  return manifest
+    .findChildren(filter, elementName)
+    .some((element) => element.attributes["android:name"] === name);
+}
+
+// The activity started from the launcher, or the first activity
+function findLauncherActivity(manifest) {
+  return (
+    manifest.findElement("application/activity", (activity) =>
+      manifest
+        .findChildren(activity, "intent-filter")
+        .some(
+          (filter) =>
+            hasChildNamed(manifest, filter, "action", "android.intent.action.MAIN") &&
+            hasChildNamed(manifest, filter, "category", "android.intent.category.LAUNCHER")
+        )
+    ) || manifest.findElement("application/activity")
+  );
+}
+
+// Deep-link intent filter for a URL scheme
+function renderIntentFilter(scheme) {
+  return AndroidManifest.renderElement("intent-filter", {}, [
+    AndroidManifest.renderElement("action", { "android:name": "android.intent.action.VIEW" }),
+    AndroidManifest.renderElement("category", { "android:name": "android.intent.category.DEFAULT" }),
+    AndroidManifest.renderElement("category", { "android:name": "android.intent.category.BROWSABLE" }),
+    AndroidManifest.renderElement("data", { "android:scheme": scheme }),
+  ]);
+}
+
+/**
+ * Update AndroidManifest.xml with deep-link intent filters for the bundle URLs of the config file
+ * @param {string} configPath - Path to config file
+ * @param {string} manifestPath - Path to AndroidManifest.xml
+ * @returns {boolean} - Success or failure
+ */
+function updateAndroidBundleUrls(configPath = "./config.json", manifestPath = DEFAULT_MANIFEST_PATH) {
+  try {
+    log(`Reading config from: ${configPath}`, colors.blue);
+    const config = readConfig(configPath);
+    const schemes = normalizeBundleUrls(config.bundle_urls).flatMap((urlType) => urlType.schemes);
+
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`AndroidManifest.xml not found at ${manifestPath}`);
+    }
+
+    const manifest = AndroidManifest.read(manifestPath);
+    const activity = findLauncherActivity(manifest);
+    if (!activity) {
+      throw new Error("No <activity> found in AndroidManifest.xml");
+    }
+
+    log(
+      `Using activity ${activity.attributes["android:name"]} for ${schemes.length} bundle URLs`,
+      colors.blue
+    );
+
+    // Schemes an intent filter written by hand already handles
+    const manualSchemes = new Set(
+      manifest
+        .manualChildren(activity, BUNDLE_URLS_BLOCK)
+        .filter((element) => element.name === "intent-filter")
+        .flatMap((filter) => manifest.findChildren(filter, "data"))
+        .map((data) => data.attributes["android:scheme"])
+    );
+
+    const filters = [];
+    for (const scheme of new Set(schemes)) {
+      if (manualSchemes.has(scheme)) {
+        log(`Bundle URL already handled by the manifest: ${scheme}`, colors.blue);
+      } else {
+        log(`Adding intent filter for bundle URL: ${scheme}`, colors.blue);
+        filters.push(renderIntentFilter(scheme));
+      }
+    }
+
+    manifest.setGeneratedBlock(activity, BUNDLE_URLS_BLOCK, filters);
+
+    if (manifest.write(manifestPath)) {
+      log("✅ AndroidManifest.xml updated successfully with bundle URLs from config file!", colors.green);
+    } else {
+      log("AndroidManifest.xml bundle URLs are already up to date", colors.green);
+    }
+    return true;
+  } catch (error) {
+    log(`❌ Error: ${error.message}`, colors.red);
+    return false;
+  }
+}
+
+module.exports = updateAndroidBundleUrls;
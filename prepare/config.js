@@ -0,0 +1,417 @@
+/**
+ * Build Config Module
+ * Single place where build.config.json is read and validated. main.js validates
+ * the config once up front; the sub-modules read the same parsed config through
+ * readConfig instead of parsing the file themselves.
+ *
+ * A config can inherit from base configs with "extends" (a path or a list of paths).
+ * Objects are deep-merged. Arrays such as keychains and bundle_urls replace the
+ * inherited array, unless written as {"$append": [...]}; {"$replace": [...]}
+ * makes the replacement explicit.
+ *
+ * An "environments" block holds named profiles (dev, staging, prod, ...). The one
+ * selected with useEnvironment is merged over the config: bundle_id_suffix and
+ * display_name_suffix are appended to bundle_id and display_name, any other key
+ * (google_service_info, bundle_urls, aps_environment, ...) overrides the base value.
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const { CONFIG_SCHEMA, FORMATS } = require("./config_schema");
+
+// Parsed configs by absolute path and environment, so every module sees the same object
+const configCache = new Map();
+
+// Environment selected with --env, applied by readConfig
+let activeEnvironment = null;
+
+/**
+ * Select the environment profile that readConfig applies
+ * @param {string|null} name - Key in the config's "environments" block, or null for none
+ */
+function useEnvironment(name) {
+  activeEnvironment = name || null;
+}
+
+function getEnvironment() {
+  return activeEnvironment;
+}
+
+// Read one config file without resolving "extends"
+function parseConfigFile(resolved, displayPath) {
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file ${displayPath} not found!`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    throw new Error(`Error parsing config file ${displayPath}: ${error.message}`);
+  }
+
+  if (!isPlainObject(config)) {
+    throw new Error(`Config file ${displayPath} must contain a JSON object`);
+  }
+
+  return config;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// {"$append": [...]} or {"$replace": [...]} in place of an array
+function isArrayDirective(value) {
+  return (
+    isPlainObject(value) &&
+    Object.keys(value).length === 1 &&
+    (Array.isArray(value.$append) || Array.isArray(value.$replace))
+  );
+}
+
+// Merge an override value onto an inherited one:
+// objects merge key by key, arrays replace unless written as {"$append": [...]}
+function mergeValue(base, override) {
+  if (isArrayDirective(override)) {
+    if (override.$replace) {
+      return mergeValue(undefined, override.$replace);
+    }
+
+    const inherited = Array.isArray(base) ? base : [];
+    const appended = override.$append.filter(
+      (item) => isPlainObject(item) || !inherited.includes(item)
+    );
+    return [...inherited, ...mergeValue(undefined, appended)];
+  }
+
+  if (Array.isArray(override)) {
+    return override.map((item) => mergeValue(undefined, item));
+  }
+
+  if (isPlainObject(override)) {
+    const result = isPlainObject(base) ? { ...base } : {};
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = mergeValue(result[key], value);
+    }
+    return result;
+  }
+
+  return override;
+}
+
+// Merge objects key by key without resolving array directives (used for "environments")
+function mergeUnresolved(base, override) {
+  if (override === undefined) {
+    return base;
+  }
+
+  if (isPlainObject(base) && isPlainObject(override) && !isArrayDirective(override)) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = mergeUnresolved(result[key], value);
+    }
+    return result;
+  }
+
+  return override;
+}
+
+// Load a config and everything it extends; chain holds the files being loaded
+function loadConfigChain(resolved, displayPath, chain) {
+  if (chain.includes(resolved)) {
+    const cycle = [...chain, resolved].map((file) => path.relative(process.cwd(), file));
+    throw new Error(`Config "extends" cycle: ${cycle.join(" -> ")}`);
+  }
+
+  const config = parseConfigFile(resolved, displayPath);
+  const { extends: parents, environments, ...own } = config;
+
+  const parentList = parents === undefined ? [] : Array.isArray(parents) ? parents : [parents];
+  let merged;
+  let mergedEnvironments;
+
+  // Later entries in "extends" override earlier ones, the file itself overrides them all
+  for (const parent of parentList) {
+    if (typeof parent !== "string" || parent === "") {
+      throw new Error(`"extends" in ${displayPath} must be a file path or a list of file paths`);
+    }
+
+    const parentPath = path.resolve(path.dirname(resolved), parent);
+    const { environments: parentEnvironments, ...parentConfig } = loadConfigChain(
+      parentPath,
+      parent,
+      [...chain, resolved]
+    );
+    merged = mergeValue(merged, parentConfig);
+    mergedEnvironments = mergeUnresolved(mergedEnvironments, parentEnvironments);
+  }
+
+  const result = mergeValue(merged, own);
+
+  // Profiles keep their "$append"/"$replace" directives until applyEnvironment merges
+  // them over the complete config; resolving them here would append to nothing
+  mergedEnvironments = mergeUnresolved(mergedEnvironments, environments);
+  if (mergedEnvironments !== undefined) {
+    result.environments = mergedEnvironments;
+  }
+  return result;
+}
+
+// Merge the selected environment profile over the config
+function applyEnvironment(config, name, displayPath) {
+  const environments = isPlainObject(config.environments) ? config.environments : {};
+
+  if (!isPlainObject(environments[name])) {
+    const available = Object.keys(environments);
+    throw new Error(
+      `Unknown environment "${name}" in ${displayPath} (${
+        available.length > 0 ? `available: ${available.join(", ")}` : 'no "environments" defined'
+      })`
+    );
+  }
+
+  const { bundle_id_suffix, display_name_suffix, ...overrides } = environments[name];
+  const result = mergeValue(config, overrides);
+
+  if (typeof bundle_id_suffix === "string" && typeof result.bundle_id === "string") {
+    result.bundle_id += bundle_id_suffix;
+  }
+
+  if (typeof display_name_suffix === "string" && typeof result.display_name === "string") {
+    result.display_name += display_name_suffix;
+  }
+
+  return result;
+}
+
+/**
+ * Read and parse a config file, resolving its "extends" chain and the environment
+ * selected with useEnvironment.
+ * "extends" paths are relative to the file that declares them; file paths inside
+ * the configs (app_icon, google_service_info, ...) stay relative to the project root.
+ * @param {string} configFile - Path to config file
+ * @returns {Object} - Parsed and merged config
+ */
+function readConfig(configFile) {
+  const resolved = path.resolve(configFile);
+  const cacheKey = `${resolved}\0${activeEnvironment || ""}`;
+
+  if (configCache.has(cacheKey)) {
+    return configCache.get(cacheKey);
+  }
+
+  let config = loadConfigChain(resolved, configFile, []);
+  if (activeEnvironment) {
+    config = applyEnvironment(config, activeEnvironment, configFile);
+  }
+
+  configCache.set(cacheKey, config);
+  return config;
+}
+
+/**
+ * Normalize bundle_urls entries: a plain string is a URL type with that one scheme
+ * @param {Array} bundleUrls - bundle_urls value of the config
+ * @returns {{name: string|undefined, role: string, schemes: string[]}[]} - URL types
+ */
+function normalizeBundleUrls(bundleUrls) {
+  return (bundleUrls || []).map((entry) =>
+    typeof entry === "string"
+      ? { name: undefined, role: "Editor", schemes: [entry] }
+      : { name: entry.name, role: entry.role || "Editor", schemes: entry.schemes || [] }
+  );
+}
+
+// Levenshtein distance, used to suggest the key a typo was meant to be
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = current;
+    }
+  }
+
+  return previous[b.length];
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function joinPath(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+// Type name with its article, e.g. "an array"
+function describeType(type) {
+  return `${type === "array" || type === "object" ? "an" : "a"} ${type}`;
+}
+
+// Validate one value against its schema entry, collecting problems into result
+function validateValue(value, schema, keyPath, root, result) {
+  const actualType = typeOf(value);
+
+  // Alternatives are told apart by their type
+  if (schema.anyOf) {
+    const alternative = schema.anyOf.find((candidate) => candidate.type === actualType);
+    if (!alternative) {
+      result.errors.push({
+        path: keyPath,
+        message: `must be ${schema.anyOf.map((candidate) => describeType(candidate.type)).join(" or ")}, got ${actualType}`,
+      });
+      return;
+    }
+    validateValue(value, alternative, keyPath, root, result);
+    return;
+  }
+
+  if (schema.type && actualType !== schema.type) {
+    result.errors.push({
+      path: keyPath,
+      message: `must be ${describeType(schema.type)}, got ${actualType}`,
+    });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    result.errors.push({
+      path: keyPath,
+      message: `must be one of ${schema.enum.map((item) => `"${item}"`).join(", ")}, got "${value}"`,
+    });
+  }
+
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    result.errors.push({ path: keyPath, message: `must be at least ${schema.minimum}, got ${value}` });
+  }
+
+  if (schema.maximum !== undefined && typeof value === "number" && value > schema.maximum) {
+    result.errors.push({ path: keyPath, message: `must be at most ${schema.maximum}, got ${value}` });
+  }
+
+  if (schema.format && typeof value === "string") {
+    const format = FORMATS[schema.format];
+    if (!format.pattern.test(value)) {
+      result.errors.push({
+        path: keyPath,
+        message: `"${value}" is not a valid ${format.hint}`,
+      });
+    }
+  }
+
+  if (schema.file && typeof value === "string") {
+    if (!fs.existsSync(value)) {
+      result.errors.push({
+        path: keyPath,
+        message: `${schema.file} "${value}" does not exist`,
+      });
+    } else {
+      const isDirectory = fs.statSync(value).isDirectory();
+      if (schema.file === "directory" && !isDirectory) {
+        result.errors.push({ path: keyPath, message: `"${value}" is not a directory` });
+      } else if (schema.file === "file" && isDirectory) {
+        result.errors.push({ path: keyPath, message: `"${value}" is a directory, expected a file` });
+      } else if (
+        schema.extensions &&
+        !schema.extensions.includes(path.extname(value).toLowerCase())
+      ) {
+        result.errors.push({
+          path: keyPath,
+          message: `"${value}" must be a ${schema.extensions.join(" or ")} file`,
+        });
+      }
+    }
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) =>
+      validateValue(item, schema.items, joinPath(keyPath, index), root, result)
+    );
+  }
+
+  if (schema.properties && actualType === "object") {
+    validateProperties(value, schema, keyPath, root, result);
+  }
+
+  if (schema.values && actualType === "object") {
+    for (const [key, item] of Object.entries(value)) {
+      validateValue(item, schema.values, joinPath(keyPath, key), root, result);
+    }
+  }
+}
+
+function validateProperties(object, schema, keyPath, root, result) {
+  const known = Object.keys(schema.properties);
+
+  for (const [key, propertySchema] of Object.entries(schema.properties)) {
+    const required =
+      typeof propertySchema.required === "function"
+        ? propertySchema.required(root)
+        : propertySchema.required;
+
+    if (object[key] === undefined || object[key] === "") {
+      if (required) {
+        result.errors.push({
+          path: joinPath(keyPath, key),
+          message: `is required${propertySchema.description ? ` (${propertySchema.description})` : ""}`,
+        });
+      }
+      continue;
+    }
+
+    validateValue(object[key], propertySchema, joinPath(keyPath, key), root, result);
+  }
+
+  // Unknown keys are usually typos of known ones
+  for (const key of Object.keys(object)) {
+    if (known.includes(key)) continue;
+
+    const suggestion = known
+      .map((candidate) => ({ candidate, distance: editDistance(key, candidate) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    if (suggestion && suggestion.distance <= 2) {
+      result.errors.push({
+        path: joinPath(keyPath, key),
+        message: `unknown key, did you mean "${suggestion.candidate}"?`,
+      });
+    } else {
+      result.warnings.push({
+        path: joinPath(keyPath, key),
+        message: "unknown key, it will be ignored",
+      });
+    }
+  }
+}
+
+/**
+ * Validate a parsed config against the build.config.json schema
+ * @param {Object} config - Parsed config
+ * @returns {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+function validateConfig(config) {
+  const result = { errors: [], warnings: [] };
+  validateValue(config, CONFIG_SCHEMA, "", config, result);
+  return result;
+}
+
+module.exports = {
+  readConfig,
+  useEnvironment,
+  getEnvironment,
+  validateConfig,
+  normalizeBundleUrls,
+};
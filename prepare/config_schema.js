@@ -0,0 +1,413 @@
+/**
+ * build.config.json Schema
+ * Declares every key prepare understands. config.js validates configs against it
+ * before any project file is modified.
+ *
+ * Each entry supports:
+ *   type        - "string", "number", "boolean", "array" or "object"
+ *   anyOf       - alternative schemas, chosen by the type of the value
+ *   required    - true, or a function (config) => boolean for conditional keys
+ *   enum        - list of allowed values
+ *   minimum     - smallest allowed number
+ *   maximum     - largest allowed number
+ *   format      - name of a format in FORMATS
+ *   file        - "file" or "directory": the value is a path that must exist
+ *   extensions  - allowed file extensions for file paths
+ *   items       - schema of array items
+ *   properties  - schemas of object properties
+ *   values      - schema of every value of a map-like object
+ *   description - short explanation shown with errors
+ */
+
+const { SEMVER_PATTERN } = require("./semver");
+
+// Whether the config builds the given platform
+function targets(platform) {
+  return (config) => {
+    const configured = config.platform || "all";
+    return configured === "all" || configured === platform;
+  };
+}
+
+const FORMATS = {
+  "bundle-id": {
+    pattern: /^[A-Za-z][A-Za-z0-9_-]*(\.[A-Za-z][A-Za-z0-9_-]*)+$/,
+    hint: 'reverse-DNS identifier such as "com.company.app"',
+  },
+  "bundle-id-suffix": {
+    pattern: /^(\.[A-Za-z][A-Za-z0-9_-]*)+$/,
+    hint: 'bundle id suffix such as ".staging"',
+  },
+  "team-id": {
+    pattern: /^[A-Z0-9]{10}$/,
+    hint: "10 character Apple Developer Team ID such as \"ABCDE12345\"",
+  },
+  "hex-color": {
+    pattern: /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{4}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$/,
+    hint: 'hex color such as "#FF6600"',
+  },
+  semver: {
+    pattern: SEMVER_PATTERN,
+    hint: 'semantic version such as "1.2.3"',
+  },
+  "url-scheme": {
+    pattern: /^[A-Za-z][A-Za-z0-9+.-]*$/,
+    hint: 'URL scheme such as "myapp" (letters, digits, "+", "." or "-")',
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    bundle_id: {
+      type: "string",
+      required: true,
+      format: "bundle-id",
+      description: "Bundle identifier / applicationId used for iOS and Android",
+    },
+    team_id: {
+      type: "string",
+      required: targets("ios"),
+      format: "team-id",
+      description: "Apple Developer Team ID",
+    },
+    display_name: {
+      type: "string",
+      required: true,
+      description: "App name shown on the home screen",
+    },
+    version: {
+      type: "string",
+      required: true,
+      format: "semver",
+      description: "Marketing version (CFBundleShortVersionString / versionName)",
+    },
+    platform: {
+      type: "string",
+      enum: ["ios", "android", "all"],
+    },
+    ios_project_name: {
+      type: "string",
+      required: targets("ios"),
+      description: "Name of the Xcode project in ios/",
+    },
+    primary_color: {
+      type: "string",
+      format: "hex-color",
+    },
+    app_provider: {
+      type: "string",
+    },
+    app_icon: {
+      type: "string",
+      file: "file",
+      extensions: [".png"],
+      description: "1024x1024 PNG used to generate the app icons",
+    },
+    ios_icon_idioms: {
+      type: "array",
+      items: { type: "string", enum: ["iphone", "ipad", "mac", "watch", "single"] },
+      description: 'Devices the iOS app icon is generated for; "single" is the Xcode 14+ single-size icon',
+    },
+    logo_icon: {
+      type: "string",
+      file: "file",
+      extensions: [".png"],
+    },
+    ic_launcher: {
+      type: "string",
+      file: "directory",
+      description: "Folder with pre-rendered Android mipmap resources",
+    },
+    android_icon: {
+      type: "object",
+      description: "Android launcher icons generated from app_icon when ic_launcher is not set",
+      properties: {
+        foreground: {
+          type: "string",
+          file: "file",
+          extensions: [".png"],
+          description: "Adaptive icon foreground layer (default: app_icon)",
+        },
+        foreground_scale: {
+          type: "number",
+          minimum: 0.1,
+          maximum: 1,
+          description: "Size of the foreground relative to the 108dp layer",
+        },
+        background_color: {
+          type: "string",
+          format: "hex-color",
+        },
+        background_image: {
+          type: "string",
+          file: "file",
+          extensions: [".png"],
+        },
+        monochrome: {
+          type: "string",
+          file: "file",
+          extensions: [".png"],
+          description: "Themed icon layer for Android 13+ (default: silhouette of a transparent android_icon.foreground; no layer when neither is set)",
+        },
+      },
+    },
+    splash: {
+      type: "object",
+      description: "Launch screen (iOS) and Android 12+ splash screen showing logo_icon",
+      properties: {
+        enabled: {
+          type: "boolean",
+          description: "Generate the splash screens, replacing LaunchScreen.storyboard (default: true when splash is set)",
+        },
+        background_color: {
+          type: "string",
+          format: "hex-color",
+          description: "Splash background color (default: primary_color)",
+        },
+        dark_background_color: {
+          type: "string",
+          format: "hex-color",
+          description: "Splash background color in dark mode (default: background_color)",
+        },
+      },
+    },
+    google_service_info: {
+      type: "string",
+      file: "file",
+      extensions: [".plist"],
+    },
+    google_services_json: {
+      type: "string",
+      file: "file",
+      extensions: [".json"],
+      description: "Firebase config copied to android/app/google-services.json",
+    },
+    keychains: {
+      type: "array",
+      items: { type: "string", format: "bundle-id" },
+    },
+    android_queries: {
+      type: "object",
+      description: "Extra <queries> entries for AndroidManifest.xml (keychains are added as packages)",
+      properties: {
+        packages: {
+          type: "array",
+          items: { type: "string", format: "bundle-id" },
+        },
+        intents: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              action: {
+                type: "string",
+                description: "Intent action (default: android.intent.action.VIEW)",
+              },
+              scheme: {
+                type: "string",
+                description: 'Data scheme, e.g. "mailto", "tel" or a custom scheme',
+              },
+              mime_type: {
+                type: "string",
+              },
+            },
+          },
+        },
+        providers: {
+          type: "array",
+          items: { type: "string" },
+          description: "Content provider authorities",
+        },
+      },
+    },
+    bundle_urls: {
+      type: "array",
+      description: 'URL schemes, or URL types such as {"name": "sso login", "schemes": ["myapp-sso"]}',
+      items: {
+        anyOf: [
+          { type: "string", format: "url-scheme" },
+          {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "CFBundleURLName of the URL type",
+              },
+              role: {
+                type: "string",
+                enum: ["Editor", "Viewer", "Shell", "None"],
+                description: "CFBundleTypeRole (default: Editor)",
+              },
+              schemes: {
+                type: "array",
+                required: true,
+                items: { type: "string", format: "url-scheme" },
+              },
+            },
+          },
+        ],
+      },
+    },
+    ios_export: {
+      type: "object",
+      description: "ExportOptions.plist used by release.sh to export the archive as an .ipa",
+      properties: {
+        method: {
+          type: "string",
+          enum: ["app-store", "app-store-connect", "ad-hoc", "release-testing", "enterprise", "development", "debugging"],
+          description: "Distribution method (default: app-store)",
+        },
+        signing_style: {
+          type: "string",
+          enum: ["automatic", "manual"],
+          description: "Signing style (default: automatic)",
+        },
+        provisioning_profiles: {
+          type: "object",
+          values: { type: "string" },
+          description: "Provisioning profile name or UUID by bundle id, including extension bundle ids",
+        },
+      },
+    },
+    android_signing: {
+      type: "object",
+      description: "Release signing of the Android app; passwords are read at build time, never stored in the build file",
+      properties: {
+        store_file: {
+          type: "string",
+          required: true,
+          description: "Path to the upload keystore",
+        },
+        key_alias: {
+          type: "string",
+          required: true,
+        },
+        store_password_env: {
+          type: "string",
+          description: "Environment variable with the keystore password (default: ANDROID_STORE_PASSWORD)",
+        },
+        key_password_env: {
+          type: "string",
+          description: "Environment variable with the key password (default: ANDROID_KEY_PASSWORD)",
+        },
+        properties_file: {
+          type: "string",
+          description:
+            "Git-ignored properties file with storePassword and keyPassword, used when the variables are not set (default: android/keystore.properties)",
+        },
+      },
+    },
+    build_number: {
+      type: "object",
+      description: "How --autoVersionCode picks CFBundleVersion and versionCode",
+      properties: {
+        strategy: {
+          type: "string",
+          enum: ["increment", "max", "git", "timestamp", "counter"],
+          description:
+            'increment: each platform +1 (default); max: max(iOS, Android) + 1; git: commit count; timestamp: minutes since 2020; counter: shared counter file',
+        },
+        counter_file: {
+          type: "string",
+          description: 'Counter file for the "counter" strategy, checked into the repo (default: build_number.txt)',
+        },
+        offset: {
+          type: "number",
+          minimum: 0,
+          description: 'Added to the "git" and "timestamp" numbers, e.g. to stay above earlier builds',
+        },
+      },
+    },
+    metro: {
+      type: "object",
+      description: "Where debug builds load the JavaScript bundle from",
+      properties: {
+        host: {
+          type: "string",
+          description: "Fixed host name or IP of the Metro bundler (default: detected private IP)",
+        },
+        interface: {
+          type: "string",
+          description: 'Network interface the IP is taken from, e.g. "en0"',
+        },
+        port: {
+          type: "number",
+          minimum: 1,
+          maximum: 65535,
+        },
+        entry_file: {
+          type: "string",
+          description: 'Bundle root without extension (default: "index")',
+        },
+      },
+    },
+    aps_environment: {
+      type: "string",
+      enum: ["development", "production"],
+      description: "Push notification environment written to the entitlements",
+    },
+  },
+};
+
+// Schema of a partial override in an environment profile: nothing is required at any
+// depth (the merged config is validated as a whole), and arrays may also be written as
+// {"$append": [...]} or {"$replace": [...]}, resolved when the profile is applied.
+// Array items are whole values, so their own schema is kept as is.
+function overrideSchema(schema) {
+  const { required, ...optional } = schema;
+
+  if (optional.properties) {
+    optional.properties = Object.fromEntries(
+      Object.entries(optional.properties).map(([key, property]) => [key, overrideSchema(property)])
+    );
+  }
+
+  if (optional.values) {
+    optional.values = overrideSchema(optional.values);
+  }
+
+  if (optional.type === "array") {
+    return {
+      anyOf: [
+        optional,
+        {
+          type: "object",
+          properties: { $append: optional, $replace: optional },
+        },
+      ],
+      description: optional.description,
+    };
+  }
+
+  return optional;
+}
+
+// An environment profile may override any top-level key and add suffixes to the
+// bundle id and display name
+const ENVIRONMENT_SCHEMA = {
+  type: "object",
+  properties: {
+    bundle_id_suffix: {
+      type: "string",
+      format: "bundle-id-suffix",
+      description: 'Appended to bundle_id, e.g. ".staging"',
+    },
+    display_name_suffix: {
+      type: "string",
+      description: 'Appended to display_name, e.g. " Staging"',
+    },
+  },
+};
+
+for (const [key, schema] of Object.entries(CONFIG_SCHEMA.properties)) {
+  ENVIRONMENT_SCHEMA.properties[key] = overrideSchema(schema);
+}
+
+CONFIG_SCHEMA.properties.environments = {
+  type: "object",
+  values: ENVIRONMENT_SCHEMA,
+  description: "Named profiles selected with --env",
+};
+
+module.exports = { CONFIG_SCHEMA, FORMATS };
@@ -0,0 +1,155 @@
+/**
+ * Module to generate ExportOptions.plist from config.json
+ * xcodebuild -exportArchive reads it to turn the release .xcarchive into an .ipa
+ * without going through the Xcode Organizer
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const plist = require("./plist");
+const PbxProject = require("./pbxproj");
+const { readConfig } = require("./config");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_METHOD = "app-store";
+const DEFAULT_SIGNING_STYLE = "automatic";
+const DEFAULT_OUTPUT_PATH = "ios/build/ExportOptions.plist";
+
+// Export methods that upload debug symbols to App Store Connect
+const APP_STORE_METHODS = ["app-store", "app-store-connect"];
+
+// Product types -exportArchive signs: apps, app extensions and watch apps, not test bundles
+const EXPORTED_PRODUCT_TYPES = [
+  "com.apple.product-type.application",
+  "com.apple.product-type.app-extension",
+  "com.apple.product-type.extensionkit-extension",
+  "com.apple.product-type.watchkit-extension",
+  "com.apple.product-type.watchkit2-extension",
+];
+
+function isExportedTarget(productType = "") {
+  return EXPORTED_PRODUCT_TYPES.some((type) => productType === type || productType.startsWith(`${type}.`));
+}
+
+// Bundle ids of the app and its extensions in the Release configuration of the project
+function readTargetBundleIds(pbxprojPath) {
+  if (!fs.existsSync(pbxprojPath)) {
+    return [];
+  }
+
+  const project = PbxProject.read(pbxprojPath);
+  const bundleIds = [];
+
+  for (const targetId of project.getTargetIds()) {
+    if (!isExportedTarget(project.getObject(targetId).productType)) {
+      continue;
+    }
+
+    const releaseId = project
+      .getBuildConfigurationIds(targetId)
+      .find((id) => project.getObject(id).name === "Release");
+    const bundleId = releaseId && project.getBuildSetting(releaseId, "PRODUCT_BUNDLE_IDENTIFIER");
+
+    // Values built from other settings cannot be resolved here
+    if (typeof bundleId === "string" && !bundleId.includes("$(")) {
+      bundleIds.push(bundleId.replace(/^"|"$/g, ""));
+    }
+  }
+
+  return bundleIds;
+}
+
+/**
+ * Write ExportOptions.plist for the ios_export settings of the config file
+ * @param {string} configFile - Path to configuration file
+ * @param {Object} options - Additional options
+ * @returns {boolean} - Success or failure
+ */
+function writeExportOptions(configFile, options = {}) {
+  // Default options
+  const defaultOptions = {
+    iosProjectName: "MyApp",
+    outputPath: DEFAULT_OUTPUT_PATH,
+  };
+
+  // Combine default options with provided options
+  const config = { ...defaultOptions, ...options };
+
+  const fileConfig = readConfig(configFile);
+  const exportConfig = fileConfig.ios_export;
+  if (!exportConfig) {
+    // A file left by another config would still make release.sh export with its signing
+    if (fs.existsSync(config.outputPath)) {
+      fs.unlinkSync(config.outputPath);
+      log(`Removed ${config.outputPath}: no ios_export in the config file`, colors.yellow);
+    } else {
+      log("No ios_export in the config file, skipping ExportOptions.plist", colors.yellow);
+    }
+    return false;
+  }
+
+  log("Generating ExportOptions.plist...", colors.blue);
+
+  const method = exportConfig.method || DEFAULT_METHOD;
+  const signingStyle = exportConfig.signing_style || DEFAULT_SIGNING_STYLE;
+  const profiles = exportConfig.provisioning_profiles || {};
+
+  // Extensions must use ids below the app's bundle id to be embedded in it
+  for (const bundleId of Object.keys(profiles)) {
+    if (bundleId !== fileConfig.bundle_id && !bundleId.startsWith(`${fileConfig.bundle_id}.`)) {
+      log(
+        `Warning: Provisioning profile for ${bundleId}, which is neither ${fileConfig.bundle_id} nor one of its extensions`,
+        colors.yellow
+      );
+    }
+  }
+
+  // Manual signing needs a profile for every target that is exported
+  if (signingStyle === "manual") {
+    const pbxprojPath = `ios/${config.iosProjectName}.xcodeproj/project.pbxproj`;
+    const bundleIds = new Set([fileConfig.bundle_id, ...readTargetBundleIds(pbxprojPath)]);
+    const missing = [...bundleIds].filter((bundleId) => !profiles[bundleId]);
+    if (missing.length > 0) {
+      throw new Error(
+        `Manual signing needs a provisioning profile for ${missing.join(", ")} in ios_export.provisioning_profiles`
+      );
+    }
+  }
+
+  const exportOptions = {
+    method,
+    signingStyle,
+    destination: "export",
+  };
+  if (fileConfig.team_id) {
+    exportOptions.teamID = fileConfig.team_id;
+  }
+  if (Object.keys(profiles).length > 0) {
+    exportOptions.provisioningProfiles = profiles;
+  }
+  if (APP_STORE_METHODS.includes(method)) {
+    exportOptions.uploadSymbols = true;
+  }
+
+  fs.mkdirSync(path.dirname(config.outputPath), { recursive: true });
+  plist.writePlist(config.outputPath, exportOptions);
+
+  log(`ExportOptions.plist written to ${config.outputPath} (${method}, ${signingStyle} signing)`, colors.green);
+  return true;
+}
+
+module.exports = writeExportOptions;
@@ -1,10 +1,13 @@
 /**
  * Module to add GoogleService-Info.plist to iOS Project
+ * after checking that it belongs to the configured bundle_id
  */
 
-const fs = require("fs");
+const fs = require("./vfs");
 const path = require("path");
-const { execSync } = require("child_process");
+const PbxProject = require("./pbxproj");
+const plist = require("./plist");
+const { readConfig } = require("./config");
 
 // Console colors for better output
 const colors = {
@@ -27,10 +30,9 @@ function extractConfigFromFile(filePath) {
   }
 
   try {
-    const fileContent = fs.readFileSync(filePath, "utf8");
-    return JSON.parse(fileContent);
+    return readConfig(filePath);
   } catch (error) {
-    log(`Error parsing JSON file: ${error.message}`, colors.red);
+    log(`Error: ${error.message}`, colors.red);
     return {};
   }
 }
@@ -94,35 +96,58 @@ function addFileToXcodeProject(iosPath, projectName, googleServiceInfoPath) {
   log("Adding file reference to Xcode project...", colors.blue);
 
   try {
-    // Read the project.pbxproj file
-    let pbxprojContent = fs.readFileSync(projectPath, 'utf8');
+    // Earlier versions of this script inserted a reference without an object ID,
+    // which leaves project.pbxproj unparsable - drop it before parsing
+    const pbxprojContent = fs.readFileSync(projectPath, "utf8");
+    const repairedContent = pbxprojContent.replace(
+      /^\t*\/\* GoogleService-Info\.plist \*\/ = \{isa = PBXFileReference;.*\n/m,
+      ""
+    );
+    if (repairedContent !== pbxprojContent) {
+      log("Removed invalid GoogleService-Info.plist reference from Xcode project", colors.yellow);
+    }
+    const project = new PbxProject(repairedContent);
+
+    const targetId = project.findTargetId(projectName);
+    if (!targetId) {
+      log(`Could not find the ${projectName} target in project.pbxproj`, colors.red);
+      log("You may need to add GoogleService-Info.plist to the Xcode project manually.", colors.yellow);
+      return;
+    }
 
-    // Define the path to GoogleService-Info.plist with sourceTree = SOURCE_ROOT
-    // This tells Xcode to look for the file in the project root directory (ios/)
-    // rather than in the project subdirectory
-    const fileRefEntry = `\t\t/* GoogleService-Info.plist */ = {isa = PBXFileReference; lastKnownFileType = text.plist.xml; path = "GoogleService-Info.plist"; sourceTree = SOURCE_ROOT; };`;
+    // Reuse the existing reference to avoid duplicates
+    let fileRefId = project.findFileReferenceId("GoogleService-Info.plist");
 
-    // Check if the reference already exists to avoid duplicates
-    if (pbxprojContent.includes('GoogleService-Info.plist')) {
+    if (fileRefId) {
       log("GoogleService-Info.plist already defined in Xcode project", colors.green);
     } else {
-      // Find the PBXFileReference section
-      const fileRefSection = pbxprojContent.match(/\/\* Begin PBXFileReference section \*\/\n([\s\S]*?)\/\* End PBXFileReference section \*\//);
-
-      if (fileRefSection && fileRefSection[1]) {
-        // Add the file reference to the PBXFileReference section
-        const updatedFileRefSection = fileRefSection[0].replace(
-            fileRefSection[1],
-            fileRefSection[1] + fileRefEntry + "\n"
-        );
-        pbxprojContent = pbxprojContent.replace(fileRefSection[0], updatedFileRefSection);
-
-        // Write the updated content back to the file
-        fs.writeFileSync(projectPath, pbxprojContent);
-        log("Successfully defined GoogleService-Info.plist in Xcode project", colors.green);
-      } else {
-        log("Could not find PBXFileReference section in project.pbxproj", colors.red);
-      }
+      // sourceTree = SOURCE_ROOT tells Xcode to look for the file relative to the
+      // directory containing the .xcodeproj (ios/) rather than the project subdirectory
+      fileRefId = project.addFileReference(
+        path.relative(iosPath, googleServiceInfoPath),
+        { sourceTree: "SOURCE_ROOT" }
+      );
+
+      const mainGroupId = project.getMainGroupId();
+      project.addToGroup(
+        project.findGroupId(projectName, mainGroupId) || mainGroupId,
+        fileRefId
+      );
+      log("Defined GoogleService-Info.plist in Xcode project", colors.green);
+    }
+
+    // Bundle the file with the app through the Copy Bundle Resources phase
+    if (!project.addToBuildPhase(targetId, "PBXResourcesBuildPhase", fileRefId)) {
+      log(`The ${projectName} target has no Copy Bundle Resources phase`, colors.red);
+      log("You may need to add GoogleService-Info.plist to the target manually.", colors.yellow);
+    }
+
+    const updatedContent = project.toString();
+    if (updatedContent !== pbxprojContent) {
+      fs.writeFileSync(projectPath, updatedContent);
+      log("Successfully added GoogleService-Info.plist to the app bundle resources", colors.green);
+    } else {
+      log("GoogleService-Info.plist is already bundled with the app", colors.green);
     }
   } catch (error) {
     log(`Error modifying Xcode project: ${error.message}`, colors.red);
@@ -143,6 +168,8 @@ function setupGoogleServiceInfo(configFile, options = {}) {
   const defaultOptions = {
     googleServiceInfo: null,
     projectName: null,
+    bundleId: null,
+    allowMismatch: false,
     iosPath: "ios",
   };
 
@@ -162,6 +189,10 @@ function setupGoogleServiceInfo(configFile, options = {}) {
     if (!config.projectName) {
       config.projectName = fileConfig.ios_project_name;
     }
+
+    if (!config.bundleId) {
+      config.bundleId = fileConfig.bundle_id;
+    }
   }
 
   if (!config.googleServiceInfo) {
@@ -179,6 +210,28 @@ function setupGoogleServiceInfo(configFile, options = {}) {
     return false;
   }
 
+  // Make sure the plist belongs to this app before it replaces the current one
+  let firebaseConfig;
+  try {
+    firebaseConfig = plist.readPlist(config.googleServiceInfo).value;
+  } catch (error) {
+    log(`Error: Cannot read ${config.googleServiceInfo}: ${error.message}`, colors.red);
+    return false;
+  }
+
+  log(
+    `Firebase project: ${firebaseConfig.PROJECT_ID} (app ${firebaseConfig.GOOGLE_APP_ID})`,
+    colors.blue
+  );
+
+  if (config.bundleId && firebaseConfig.BUNDLE_ID !== config.bundleId) {
+    const message = `${config.googleServiceInfo} is for bundle id ${firebaseConfig.BUNDLE_ID}, not ${config.bundleId}`;
+    if (!config.allowMismatch) {
+      throw new Error(`${message}. Use --allow-mismatch to copy it anyway.`);
+    }
+    log(`Warning: ${message} (allowed by --allow-mismatch)`, colors.yellow);
+  }
+
   // Determine project name
   let projectName = config.projectName;
 
@@ -0,0 +1,192 @@
+/**
+ * Module to add google-services.json to the Android project
+ * The Android counterpart of google_service_info.js: copies the Firebase config of the
+ * app to android/app, after checking that it has a client for the configured bundle_id
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const GradleFile = require("./gradle_file");
+const { readConfig } = require("./config");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Gradle plugin that reads google-services.json
+const GOOGLE_SERVICES_PLUGIN = "com.google.gms.google-services";
+const GOOGLE_SERVICES_CLASSPATH = "com.google.gms:google-services";
+
+// Extract config from JSON file
+function extractConfigFromFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    return readConfig(filePath);
+  } catch (error) {
+    log(`Error: ${error.message}`, colors.red);
+    return {};
+  }
+}
+
+// Package names of the Android clients in google-services.json
+function readClientPackageNames(filePath) {
+  const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+  return (json.client || [])
+    .map((client) => client.client_info && client.client_info.android_client_info)
+    .filter(Boolean)
+    .map((info) => info.package_name);
+}
+
+// Warn when the google-services Gradle plugin is not set up: without it the file is ignored
+function checkGradlePlugin(androidPath) {
+  const appGradlePath = GradleFile.find(path.join(androidPath, "app"));
+  if (!appGradlePath) {
+    log("Warning: Could not find the app build file to check the google-services plugin", colors.yellow);
+    return false;
+  }
+
+  const kotlin = appGradlePath.endsWith(".kts");
+  const appGradle = fs.readFileSync(appGradlePath, "utf8");
+  const applied = appGradle.includes(GOOGLE_SERVICES_PLUGIN);
+
+  // The plugin comes from the root build file (buildscript classpath or plugins block)
+  // or from pluginManagement in the settings file
+  const declared = ["build.gradle", "build.gradle.kts", "settings.gradle", "settings.gradle.kts"]
+    .map((name) => path.join(androidPath, name))
+    .filter((filePath) => fs.existsSync(filePath))
+    .some((filePath) => {
+      const content = fs.readFileSync(filePath, "utf8");
+      return content.includes(GOOGLE_SERVICES_CLASSPATH) || content.includes(GOOGLE_SERVICES_PLUGIN);
+    });
+
+  if (applied && declared) {
+    log("google-services Gradle plugin is applied", colors.green);
+    return true;
+  }
+
+  if (!declared) {
+    log(`Warning: The google-services Gradle plugin is not declared in ${androidPath}/build.gradle.`, colors.yellow);
+    log(
+      kotlin
+        ? `  Add classpath("${GOOGLE_SERVICES_CLASSPATH}:<version>") to buildscript dependencies, or id("${GOOGLE_SERVICES_PLUGIN}") version "<version>" apply false to plugins.`
+        : `  Add classpath("${GOOGLE_SERVICES_CLASSPATH}:<version>") to buildscript dependencies.`,
+      colors.yellow
+    );
+  }
+
+  if (!applied) {
+    log(`Warning: The google-services Gradle plugin is not applied in ${appGradlePath}.`, colors.yellow);
+    log(
+      kotlin
+        ? `  Add id("${GOOGLE_SERVICES_PLUGIN}") to its plugins block.`
+        : `  Add apply plugin: "${GOOGLE_SERVICES_PLUGIN}" to it.`,
+      colors.yellow
+    );
+  }
+
+  return false;
+}
+
+/**
+ * Setup google-services.json in the Android project
+ * @param {string} configFile - Path to configuration file
+ * @param {Object} options - Additional options
+ * @returns {boolean} - Success or failure
+ */
+function setupGoogleServicesJson(configFile, options = {}) {
+  // Default options
+  const defaultOptions = {
+    googleServicesJson: null,
+    packageName: null,
+    allowMismatch: false,
+    androidPath: "android",
+  };
+
+  // Combine default options with provided options
+  const config = { ...defaultOptions, ...options };
+
+  // Load config from file if specified
+  if (configFile && fs.existsSync(configFile)) {
+    const fileConfig = extractConfigFromFile(configFile);
+
+    // Config file takes precedence over default values but not over explicit options
+    if (!config.googleServicesJson) {
+      config.googleServicesJson = fileConfig.google_services_json;
+    }
+
+    if (!config.packageName) {
+      config.packageName = fileConfig.bundle_id;
+    }
+  }
+
+  // Place google-services.json next to the app build file
+  const destinationPath = path.join(config.androidPath, "app", "google-services.json");
+
+  if (!config.googleServicesJson) {
+    // A file left by another white-label app would ship its Firebase project
+    if (fs.existsSync(destinationPath)) {
+      fs.unlinkSync(destinationPath);
+      log(`Removed ${destinationPath}: no google_services_json in the config file`, colors.yellow);
+    } else {
+      log("No google_services_json in the config file, skipping google-services.json setup", colors.yellow);
+    }
+    return false;
+  }
+
+  log("Starting google-services.json setup", colors.green);
+
+  // Check if the google-services.json file exists
+  if (!fs.existsSync(config.googleServicesJson)) {
+    log(`Error: google-services.json not found at ${config.googleServicesJson}`, colors.red);
+    return false;
+  }
+
+  // The Gradle plugin fails the build when no client matches the applicationId
+  let packageNames;
+  try {
+    packageNames = readClientPackageNames(config.googleServicesJson);
+  } catch (error) {
+    log(`Error: Cannot read ${config.googleServicesJson}: ${error.message}`, colors.red);
+    return false;
+  }
+
+  if (config.packageName && !packageNames.includes(config.packageName)) {
+    const message = `${config.googleServicesJson} has no client for package ${config.packageName} (it has ${
+      packageNames.length > 0 ? packageNames.join(", ") : "no Android clients"
+    })`;
+    if (!config.allowMismatch) {
+      throw new Error(`${message}. Use --allow-mismatch to copy it anyway.`);
+    }
+    log(`Warning: ${message} (allowed by --allow-mismatch)`, colors.yellow);
+  }
+
+  try {
+    log(`Copying google-services.json to ${destinationPath}...`, colors.blue);
+    fs.copyFileSync(config.googleServicesJson, destinationPath);
+    log("File copied successfully!", colors.green);
+  } catch (error) {
+    log(`Error copying file: ${error.message}`, colors.red);
+    return false;
+  }
+
+  checkGradlePlugin(config.androidPath);
+
+  log("=== google-services.json setup complete ===", colors.green);
+  return true;
+}
+
+module.exports = setupGoogleServicesJson;
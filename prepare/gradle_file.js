@@ -0,0 +1,354 @@
+/**
+ * Gradle Build File Module
+ * Reads and edits simple properties (applicationId, versionCode, versionName, ...)
+ * of the Android app build file, in either the Groovy (build.gradle) or the
+ * Kotlin DSL (build.gradle.kts) syntax. Only the edited lines change; the rest of
+ * the file is written back as it was.
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+
+// Build file names, in the order Gradle itself prefers them
+const BUILD_FILE_NAMES = ["build.gradle.kts", "build.gradle"];
+
+// Escape a string for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Index of the brace closing the one at openIndex, skipping strings and comments
+function findClosingBrace(text, openIndex) {
+  let depth = 0;
+
+  for (let i = openIndex; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === "/" && text[i + 1] === "/") {
+      i = text.indexOf("\n", i);
+      if (i === -1) return -1;
+    } else if (char === "/" && text[i + 1] === "*") {
+      i = text.indexOf("*/", i + 2) + 1;
+      if (i === 0) return -1;
+    } else if (char === '"' || char === "'") {
+      for (i++; i < text.length && text[i] !== char && text[i] !== "\n"; i++) {
+        if (text[i] === "\\") i++;
+      }
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+// Pattern of a block name; in the Kotlin DSL getByName("release") { } is also written
+// with the accessor of the predefined element, release { }
+function blockNamePattern(part) {
+  const named = part.match(/^getByName\("(\w+)"\)$/);
+  return (named ? [part, named[1]] : [part]).map(escapeRegExp).join("|");
+}
+
+/**
+ * Android app build file in Groovy or Kotlin DSL syntax
+ */
+class GradleFile {
+  /**
+   * @param {string} text - Content of the build file
+   * @param {boolean} kotlin - Whether the file uses the Kotlin DSL
+   */
+  constructor(text, kotlin) {
+    this.text = text;
+    this.content = text;
+    this.kotlin = kotlin;
+  }
+
+  /**
+   * Find the build file of a Gradle module
+   * @param {string} moduleDir - Module directory, e.g. android/app
+   * @returns {string|null} - Path to build.gradle.kts or build.gradle
+   */
+  static find(moduleDir) {
+    return (
+      BUILD_FILE_NAMES.map((name) => path.join(moduleDir, name)).find((filePath) =>
+        fs.existsSync(filePath)
+      ) || null
+    );
+  }
+
+  /**
+   * Read a build file, detecting its syntax from the file name
+   * @param {string} filePath - Path to build.gradle or build.gradle.kts
+   * @returns {GradleFile} - Parsed build file
+   */
+  static read(filePath) {
+    return new GradleFile(fs.readFileSync(filePath, "utf8"), filePath.endsWith(".kts"));
+  }
+
+  /**
+   * Write the build file back to disk
+   * @param {string} filePath - Path to the build file
+   * @returns {boolean} - Whether the file content changed
+   */
+  write(filePath) {
+    if (this.content === this.text) {
+      return false;
+    }
+    fs.writeFileSync(filePath, this.content);
+    this.text = this.content;
+    return true;
+  }
+
+  /**
+   * Find a block such as defaultConfig { ... } (the first one with that name)
+   * @param {string} name - Block name, or a path of nested names like "android.defaultConfig"
+   * @returns {{start: number, bodyStart: number, end: number}|null} - Offsets of the
+   *   block start, the character after its opening brace and its closing brace
+   */
+  findBlock(name) {
+    let range = { bodyStart: 0, end: this.content.length };
+    let block = null;
+
+    for (const part of name.split(".")) {
+      const pattern = new RegExp(`(^|[\\s;{])(${blockNamePattern(part)})\\s*\\{`, "g");
+      pattern.lastIndex = range.bodyStart;
+
+      let match;
+      block = null;
+      while ((match = pattern.exec(this.content)) !== null && match.index < range.end) {
+        const start = match.index + match[1].length;
+        const open = match.index + match[0].length - 1;
+        const close = findClosingBrace(this.content, open);
+        if (close !== -1 && close <= range.end) {
+          block = { start, bodyStart: open + 1, end: close };
+          break;
+        }
+      }
+
+      if (!block) return null;
+      range = block;
+    }
+
+    return block;
+  }
+
+  // Property assignment pattern: name "value", name = "value", name 12 or name = 12
+  propertyPattern(name) {
+    return new RegExp(
+      `^([ \\t]*)(${escapeRegExp(name)})(\\s*=\\s*|[ \\t]+)("(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|-?\\d+)`,
+      "m"
+    );
+  }
+
+  /**
+   * Get the literal value of a property
+   * @param {string} name - Property name, e.g. versionCode
+   * @returns {string|number|null} - The value, or null when not set to a literal
+   */
+  getProperty(name) {
+    const match = this.content.match(this.propertyPattern(name));
+    if (!match) {
+      return null;
+    }
+
+    const value = match[4];
+    return /^-?\d+$/.test(value) ? Number(value) : value.slice(1, -1);
+  }
+
+  // Render a value literal in the syntax of the file
+  renderValue(value, quote = '"') {
+    if (typeof value === "number") {
+      return String(value);
+    }
+    return `${quote}${String(value).replace(/\\/g, "\\\\").replace(new RegExp(quote, "g"), `\\${quote}`)}${quote}`;
+  }
+
+  /**
+   * Set a property, replacing its current value or adding it to a block
+   * @param {string} name - Property name, e.g. applicationId
+   * @param {string|number} value - New value (numbers are written unquoted)
+   * @param {string} block - Block the property is added to when missing (default: defaultConfig)
+   * @returns {string|null} - "updated", "added", "unchanged" or null when the block is missing
+   */
+  setProperty(name, value, block = "defaultConfig") {
+    const pattern = this.propertyPattern(name);
+    const match = this.content.match(pattern);
+
+    if (match) {
+      // Keep the quote style and separator the file already uses
+      const quote = match[4][0] === "'" ? "'" : '"';
+      const replacement = `${match[1]}${match[2]}${match[3]}${this.renderValue(value, quote)}`;
+      if (replacement === match[0]) {
+        return "unchanged";
+      }
+      this.content = this.content.replace(pattern, () => replacement);
+      return "updated";
+    }
+
+    const range = this.findBlock(block);
+    if (!range) {
+      return null;
+    }
+
+    // Indent like the block's first statement, or one level deeper than the block
+    const body = this.content.slice(range.bodyStart, range.end);
+    const lineStart = this.content.lastIndexOf("\n", range.start) + 1;
+    const blockIndent = this.content.slice(lineStart, range.start).match(/^[ \t]*/)[0];
+    const indentMatch = body.match(/\n([ \t]+)\S/);
+    const indent = indentMatch ? indentMatch[1] : `${blockIndent}    `;
+    const separator = this.kotlin ? " = " : " ";
+
+    this.content =
+      this.content.slice(0, range.bodyStart) +
+      `\n${indent}${name}${separator}${this.renderValue(value)}` +
+      (body.trim() ? body : `\n${blockIndent}`) +
+      this.content.slice(range.end);
+    return "added";
+  }
+
+  // Indentation of the line a position is on
+  indentAt(index) {
+    const lineStart = this.content.lastIndexOf("\n", index - 1) + 1;
+    return this.content.slice(lineStart).match(/^[ \t]*/)[0];
+  }
+
+  // One level of indentation as used by the file (default: 4 spaces)
+  indentUnit() {
+    const match = this.content.match(/^([ \t]*)\S.*\{[ \t]*\n\1([ \t]+)\S/m);
+    return match ? match[2] : "    ";
+  }
+
+  /**
+   * Set a statement that is not a plain literal, such as signingConfig signingConfigs.release
+   * @param {string} block - Block path, e.g. "android.buildTypes.release"
+   * @param {string} name - Statement name, e.g. signingConfig
+   * @param {string} expression - Gradle expression written as is after the name
+   * @returns {string|null} - "updated", "added", "unchanged" or null when the block is missing
+   */
+  setStatement(block, name, expression) {
+    const range = this.findBlock(block);
+    if (!range) {
+      return null;
+    }
+
+    const body = this.content.slice(range.bodyStart, range.end);
+    const pattern = new RegExp(`^([ \\t]*)(${escapeRegExp(name)})(\\s*=\\s*|[ \\t]+)(.*)$`, "m");
+    const separator = this.kotlin ? " = " : " ";
+    const match = body.match(pattern);
+
+    let newBody;
+    if (match) {
+      const replacement = `${match[1]}${name}${separator}${expression}`;
+      if (replacement === match[0]) {
+        return "unchanged";
+      }
+      newBody = body.replace(pattern, () => replacement);
+    } else {
+      const indent = this.indentAt(range.start) + this.indentUnit();
+      newBody = `\n${indent}${name}${separator}${expression}` + (body.trim() ? body : `\n${this.indentAt(range.start)}`);
+    }
+
+    this.content = this.content.slice(0, range.bodyStart) + newBody + this.content.slice(range.end);
+    return match ? "updated" : "added";
+  }
+
+  /**
+   * Replace the body of a block with the given lines, creating the block (and missing
+   * parent blocks) at the end of the closest existing parent
+   * @param {string} block - Block path, e.g. "android.signingConfigs.release"
+   * @param {string[]} lines - Statements of the block, without indentation
+   * @param {string} before - Sibling block a newly created block goes before, e.g. "buildTypes"
+   * @returns {string|null} - "updated", "added", "unchanged" or null when no parent block exists
+   */
+  setBlock(block, lines, before = null) {
+    const names = block.split(".");
+    const unit = this.indentUnit();
+
+    const range = this.findBlock(block);
+    if (range) {
+      const indent = this.indentAt(range.start);
+      const body = lines.map((line) => `\n${indent}${unit}${line}`).join("") + `\n${indent}`;
+      if (this.content.slice(range.bodyStart, range.end) === body) {
+        return "unchanged";
+      }
+      this.content = this.content.slice(0, range.bodyStart) + body + this.content.slice(range.end);
+      return "updated";
+    }
+
+    // Closest existing parent
+    let depth = names.length - 1;
+    while (depth > 0 && !this.findBlock(names.slice(0, depth).join("."))) {
+      depth--;
+    }
+    if (depth === 0) {
+      return null;
+    }
+
+    const parentPath = names.slice(0, depth).join(".");
+    const parent = this.findBlock(parentPath);
+    const parentIndent = this.indentAt(parent.start);
+
+    // Render the missing blocks nested in each other
+    const render = (level, indent) => {
+      if (level === names.length) {
+        return lines.map((line) => `${indent}${line}`);
+      }
+      return [`${indent}${names[level]} {`, ...render(level + 1, indent + unit), `${indent}}`];
+    };
+    const text = render(depth, parentIndent + unit).join("\n");
+
+    // Insert before the sibling block, or at the end of the parent
+    const sibling = before ? this.findBlock(`${parentPath}.${before}`) : null;
+    if (sibling) {
+      const lineStart = this.content.lastIndexOf("\n", sibling.start - 1) + 1;
+      this.content = this.content.slice(0, lineStart) + `${text}\n` + this.content.slice(lineStart);
+    } else {
+      const body = this.content.slice(parent.bodyStart, parent.end).replace(/\s*$/, "");
+      this.content =
+        this.content.slice(0, parent.bodyStart) +
+        `${body}\n${text}\n${parentIndent}` +
+        this.content.slice(parent.end);
+    }
+    return "added";
+  }
+
+  /**
+   * Set a top-level section between "// BEGIN prepare: id" and "// END prepare: id"
+   * comments, placed before the given block when it does not exist yet
+   * @param {string} id - Name of the section
+   * @param {string[]} lines - Lines of the section
+   * @param {string} before - Top-level block the section goes before (default: android)
+   * @returns {string} - "updated", "added" or "unchanged"
+   */
+  setGeneratedSection(id, lines, before = "android") {
+    const text = [`// BEGIN prepare: ${id}`, ...lines, `// END prepare: ${id}`].join("\n");
+    const pattern = new RegExp(
+      `^// BEGIN prepare: ${escapeRegExp(id)}\\n[\\s\\S]*?^// END prepare: ${escapeRegExp(id)}$`,
+      "m"
+    );
+
+    const match = this.content.match(pattern);
+    if (match) {
+      if (match[0] === text) {
+        return "unchanged";
+      }
+      this.content = this.content.replace(pattern, () => text);
+      return "updated";
+    }
+
+    const range = this.findBlock(before);
+    const index = range ? this.content.lastIndexOf("\n", range.start - 1) + 1 : this.content.length;
+    const prefix = this.content.slice(0, index);
+    this.content =
+      prefix +
+      (prefix && !prefix.endsWith("\n") ? "\n" : "") +
+      `${text}\n\n` +
+      this.content.slice(index);
+    return "added";
+  }
+}
+
+module.exports = GradleFile;
@@ -3,7 +3,7 @@
  * Copies and overwrites files without removing existing content
  */
 
-const fs = require('fs');
+const fs = require('./vfs');
 const path = require('path');
 
 /**
@@ -0,0 +1,289 @@
+/**
+ * Image Operations Module
+ * High-level image operations used by the icon generators. They run ImageMagick when
+ * it is installed and fall back to the built-in PNG code (png.js) otherwise.
+ * Every operation snapshots its destination before writing and is only recorded
+ * (not executed) during a dry run.
+ */
+
+const fs = require("./vfs");
+const { execFileSync } = require("child_process");
+const png = require("./png");
+
+// Detected ImageMagick command: undefined until first use, null when not installed
+let imageMagick;
+
+// Whether a command can be run
+function commandExists(command) {
+  try {
+    execFileSync(command, ["-version"], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the ImageMagick command line tool
+ * @returns {string|null} - "magick" (v7), "convert" (v6) or null when not installed
+ */
+function findImageMagick() {
+  if (imageMagick === undefined) {
+    if (commandExists("magick")) {
+      imageMagick = "magick";
+    } else if (commandExists("convert")) {
+      imageMagick = "convert";
+    } else {
+      imageMagick = null;
+    }
+  }
+
+  return imageMagick;
+}
+
+// Decoded source images by path, so a source is decoded once for all its sizes
+const decodedImages = new Map();
+
+function loadImage(file) {
+  if (!decodedImages.has(file)) {
+    try {
+      decodedImages.set(file, png.decodePng(fs.readFileSync(file)));
+    } catch (error) {
+      throw new Error(
+        `Cannot read ${file} (${error.message}). Without ImageMagick only PNG images are supported.`
+      );
+    }
+  }
+
+  return decodedImages.get(file);
+}
+
+// Produce destination with ImageMagick (args) when installed, otherwise with render()
+function generate(destination, description, args, render) {
+  if (fs.isDryRun()) {
+    fs.recordGeneratedAsset(destination, description);
+    return;
+  }
+
+  const command = findImageMagick();
+  if (command) {
+    fs.track(destination);
+    execFileSync(command, [...args, destination], { stdio: ["ignore", "ignore", "pipe"] });
+  } else {
+    fs.writeFileSync(destination, png.encodePng(render()));
+  }
+}
+
+// Resize to fit within width x height keeping the aspect ratio, like "-resize WxH"
+function fitWithin(image, width, height) {
+  const scale = Math.min(width / image.width, height / image.height);
+  return png.resample(
+    image,
+    Math.max(1, Math.round(image.width * scale)),
+    Math.max(1, Math.round(image.height * scale))
+  );
+}
+
+// Parse "none" or a hex color into [r, g, b, a]
+function parseColor(color) {
+  if (color === "none") {
+    return [0, 0, 0, 0];
+  }
+
+  let hex = color.replace(/^#/, "");
+  if (hex.length <= 4) {
+    hex = hex.replace(/./g, (digit) => digit + digit);
+  }
+  if (hex.length === 6) {
+    hex += "ff";
+  }
+
+  return [0, 2, 4, 6].map((offset) => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+// Draw image over a size x size canvas of the given color, centered
+function centerOnCanvas(image, size, background) {
+  const [br, bg, bb, ba] = parseColor(background);
+  const data = new Uint8Array(size * size * 4);
+  const left = Math.floor((size - image.width) / 2);
+  const top = Math.floor((size - image.height) / 2);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const out = (y * size + x) * 4;
+      const sx = x - left;
+      const sy = y - top;
+      const inside = sx >= 0 && sy >= 0 && sx < image.width && sy < image.height;
+      const index = (sy * image.width + sx) * 4;
+      const alpha = inside ? image.data[index + 3] / 255 : 0;
+
+      // "over" compositing with straight alpha
+      const backAlpha = (ba / 255) * (1 - alpha);
+      const outAlpha = alpha + backAlpha;
+      data[out + 3] = Math.round(outAlpha * 255);
+
+      if (outAlpha > 0) {
+        const mix = (front, back) => Math.round((front * alpha + back * backAlpha) / outAlpha);
+        data[out] = mix(inside ? image.data[index] : 0, br);
+        data[out + 1] = mix(inside ? image.data[index + 1] : 0, bg);
+        data[out + 2] = mix(inside ? image.data[index + 2] : 0, bb);
+      }
+    }
+  }
+
+  return { width: size, height: size, data };
+}
+
+/**
+ * Get the pixel size of an image
+ * @param {string} file - Image file
+ * @returns {{width: number, height: number}|null} - null when the size cannot be read
+ */
+function getImageSize(file) {
+  const pngSize = fs.existsSync(file) ? png.readPngSize(fs.readFileSync(file)) : null;
+  if (pngSize) {
+    return pngSize;
+  }
+
+  const command = findImageMagick();
+  if (!command) {
+    return null;
+  }
+
+  try {
+    const args = ["-format", "%wx%h", file];
+    const output =
+      command === "magick"
+        ? execFileSync("magick", ["identify", ...args], { encoding: "utf8" })
+        : execFileSync("identify", args, { encoding: "utf8" });
+    const [width, height] = output.trim().split("x").map(Number);
+    return { width, height };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resize an image
+ * @param {string} source - Source image
+ * @param {string} destination - Output PNG
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ */
+function resizeImage(source, destination, width, height) {
+  generate(
+    destination,
+    `${width}x${height} PNG`,
+    [source, "-resize", `${width}x${height}`],
+    () => fitWithin(loadImage(source), width, height)
+  );
+}
+
+/**
+ * Resize an image into the center of a larger square canvas
+ * @param {string} source - Source image
+ * @param {string} destination - Output PNG
+ * @param {number} size - Canvas width and height
+ * @param {number} scale - Size of the image relative to the canvas (0-1]
+ * @param {string} background - Canvas color (default: transparent)
+ */
+function placeOnCanvas(source, destination, size, scale, background = "none") {
+  const inner = Math.round(size * scale);
+
+  generate(
+    destination,
+    `${size}x${size} PNG`,
+    [
+      source,
+      "-resize", `${inner}x${inner}`,
+      "-background", background,
+      "-gravity", "center",
+      "-extent", `${size}x${size}`,
+    ],
+    () => centerOnCanvas(fitWithin(loadImage(source), inner, inner), size, background)
+  );
+}
+
+/**
+ * Resize an image and cut it to a circle
+ * @param {string} source - Source image
+ * @param {string} destination - Output PNG
+ * @param {number} size - Output width and height
+ */
+function circleImage(source, destination, size) {
+  const center = (size - 1) / 2;
+
+  generate(
+    destination,
+    `${size}x${size} round PNG`,
+    [
+      source,
+      "-resize", `${size}x${size}!`,
+      "(",
+      "-size", `${size}x${size}`,
+      "xc:none",
+      "-fill", "white",
+      "-draw", `circle ${center},${center} ${center},0`,
+      ")",
+      "-compose", "DstIn",
+      "-composite",
+    ],
+    () => {
+      const image = png.resample(loadImage(source), size, size);
+
+      // Anti-aliased circle: pixel coverage from the distance of its center
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const distance = Math.hypot(x - center, y - center);
+          const coverage = Math.min(1, Math.max(0, center + 0.5 - distance));
+          const index = (y * size + x) * 4 + 3;
+          image.data[index] = Math.round(image.data[index] * coverage);
+        }
+      }
+
+      return image;
+    }
+  );
+}
+
+/**
+ * Create a white silhouette of an image from its alpha channel, centered on a canvas
+ * @param {string} source - Source image with transparency
+ * @param {string} destination - Output PNG
+ * @param {number} size - Canvas width and height
+ * @param {number} scale - Size of the image relative to the canvas (0-1]
+ */
+function silhouetteImage(source, destination, size, scale) {
+  const inner = Math.round(size * scale);
+
+  generate(
+    destination,
+    `${size}x${size} monochrome PNG`,
+    [
+      source,
+      "-resize", `${inner}x${inner}`,
+      "-alpha", "extract",
+      "-background", "white",
+      "-alpha", "shape",
+      "-background", "none",
+      "-gravity", "center",
+      "-extent", `${size}x${size}`,
+    ],
+    () => {
+      const image = fitWithin(loadImage(source), inner, inner);
+      for (let i = 0; i < image.data.length; i += 4) {
+        image.data[i] = image.data[i + 1] = image.data[i + 2] = 255;
+      }
+      return centerOnCanvas(image, size, "none");
+    }
+  );
+}
+
+module.exports = {
+  findImageMagick,
+  getImageSize,
+  resizeImage,
+  placeOnCanvas,
+  circleImage,
+  silhouetteImage,
+};
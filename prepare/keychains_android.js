@@ -1,15 +1,20 @@
 /**
  * Android Manifest Package Queries Setup Module
- * This module updates AndroidManifest.xml with package queries
+ * This module updates the <queries> section of AndroidManifest.xml with the
+ * keychains packages and the android_queries packages, intents and providers
  */
 
-const fs = require("fs");
-const path = require("path");
-const { execSync } = require("child_process");
+const fs = require("./vfs");
+const AndroidManifest = require("./android_manifest");
+const { readConfig } = require("./config");
 
 // Default values
 const DEFAULT_CONFIG_FILE = "./build.config.json";
 const DEFAULT_MANIFEST_PATH = "android/app/src/main/AndroidManifest.xml";
+const DEFAULT_INTENT_ACTION = "android.intent.action.VIEW";
+
+// Name of the generated block inside <queries>
+const QUERIES_BLOCK = "queries";
 
 // Console colors for better output
 const colors = {
@@ -25,22 +30,99 @@ function log(message, color = colors.reset) {
   console.log(`${color}${message}${colors.reset}`);
 }
 
-// Extract array values from JSON
-function extractJsonArray(filePath, key) {
+// Read the query entries from the config file
+function readQueries(filePath) {
   if (!fs.existsSync(filePath)) {
-    return [];
+    return { packages: [], intents: [], providers: [] };
   }
 
   try {
-    const fileContent = fs.readFileSync(filePath, "utf8");
-    const json = JSON.parse(fileContent);
-
-    // Get the array for the specified key
-    return Array.isArray(json[key]) ? json[key] : [];
+    const json = readConfig(filePath);
+    const queries = json.android_queries || {};
+
+    return {
+      packages: [
+        ...(Array.isArray(json.keychains) ? json.keychains : []),
+        ...(queries.packages || []),
+      ],
+      intents: queries.intents || [],
+      providers: queries.providers || [],
+    };
   } catch (error) {
-    log(`Error parsing JSON file: ${error.message}`, colors.red);
-    return [];
+    log(`Error: ${error.message}`, colors.red);
+    return { packages: [], intents: [], providers: [] };
+  }
+}
+
+// Key identifying an <intent> query
+function intentKey(action, scheme, mimeType) {
+  return `intent:${action || ""}|${scheme || ""}|${mimeType || ""}`;
+}
+
+// Key identifying a <queries> entry, so entries added by hand are not duplicated
+function queryKey(manifest, element) {
+  switch (element.name) {
+    case "package":
+      return `package:${element.attributes["android:name"]}`;
+    case "provider":
+      return `provider:${element.attributes["android:authorities"]}`;
+    case "intent": {
+      const action = manifest.findChildren(element, "action")[0];
+      const data = manifest.findChildren(element, "data")[0];
+      return intentKey(
+        action && action.attributes["android:name"],
+        data && data.attributes["android:scheme"],
+        data && data.attributes["android:mimeType"]
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+// Render the <queries> entries with their keys
+function renderQueries(packages, intents, providers) {
+  const entries = [];
+
+  for (const pkg of packages) {
+    entries.push({
+      key: `package:${pkg}`,
+      label: `package ${pkg}`,
+      xml: AndroidManifest.renderElement("package", { "android:name": pkg }),
+    });
+  }
+
+  for (const intent of intents) {
+    const action = intent.action || DEFAULT_INTENT_ACTION;
+    const children = [AndroidManifest.renderElement("action", { "android:name": action })];
+    if (intent.scheme || intent.mime_type) {
+      children.push(
+        AndroidManifest.renderElement("data", {
+          "android:scheme": intent.scheme,
+          "android:mimeType": intent.mime_type,
+        })
+      );
+    }
+
+    entries.push({
+      key: intentKey(action, intent.scheme, intent.mime_type),
+      label: `intent ${action}${intent.scheme ? ` (${intent.scheme}:)` : ""}`,
+      xml: AndroidManifest.renderElement("intent", {}, children),
+    });
+  }
+
+  for (const authority of providers) {
+    entries.push({
+      key: `provider:${authority}`,
+      label: `provider ${authority}`,
+      xml: AndroidManifest.renderElement("provider", { "android:authorities": authority }),
+    });
   }
+
+  // The same entry configured twice is written once
+  return entries.filter(
+    (entry, index) => entries.findIndex((other) => other.key === entry.key) === index
+  );
 }
 
 /**
@@ -61,32 +143,19 @@ function setupKeychainsAndroid(configFile = DEFAULT_CONFIG_FILE, options = {}) {
   // Combine default options with provided options
   const config = { ...defaultOptions, ...options };
 
-  // Load packages from config file if no packages provided via options
-  let packages = [...config.packages];
-
-  if (packages.length === 0 && fs.existsSync(configFile)) {
-    log(`Loading packages from ${configFile}...`, colors.blue);
-
-    const configPackages = extractJsonArray(configFile, "keychains");
-
-    if (configPackages.length > 0) {
-      packages = configPackages;
-      log(`Loaded packages: ${packages.join(", ")}`, colors.green);
-    } else {
-      log(
-        "No packages found in config file under 'keychains' key.",
-        colors.yellow
-      );
-    }
+  // Load queries from config file, packages provided via options replace keychains
+  log(`Loading queries from ${configFile}...`, colors.blue);
+  const queries = readQueries(configFile);
+  if (config.packages.length > 0) {
+    queries.packages = [...config.packages];
   }
 
-  // Check if we have packages to add
-  if (packages.length === 0) {
+  const entries = renderQueries(queries.packages, queries.intents, queries.providers);
+  if (entries.length === 0) {
     log(
-      "Error: No packages specified. Provide them in the config file or options.",
-      colors.red
+      "No packages found in config file under 'keychains' or 'android_queries' keys.",
+      colors.yellow
     );
-    return false;
   }
 
   // Check if manifest file exists
@@ -102,178 +171,76 @@ function setupKeychainsAndroid(configFile = DEFAULT_CONFIG_FILE, options = {}) {
     return false;
   }
 
-  // Read the manifest file
-  let manifestContent = fs.readFileSync(config.manifestPath, "utf8");
+  let manifest;
+  try {
+    manifest = AndroidManifest.read(config.manifestPath);
+  } catch (error) {
+    log(`Error: ${error.message}`, colors.red);
+    return false;
+  }
+
+  let queriesElement = manifest.findElement("queries");
+  if (!queriesElement && entries.length === 0) {
+    return false;
+  }
 
-  // Check if <queries> tag already exists in the manifest
-  if (manifestContent.includes("<queries")) {
+  if (queriesElement) {
     log("Found existing <queries> section in AndroidManifest.xml", colors.blue);
+  } else {
+    log("No <queries> section found. Adding new section to AndroidManifest.xml", colors.blue);
+    queriesElement = manifest.ensureChild(manifest.root, "queries", "application");
+  }
 
-    // Check if it's a self-closing or empty tag
-    if (/<queries\s*\/>|<queries\s*><\/queries>/.test(manifestContent)) {
-      log("Replacing empty queries tag with full section...", colors.blue);
-      // Replace the self-closing or empty queries tag with a properly formatted one
-      manifestContent = manifestContent.replace(
-        /<queries\s*\/>|<queries\s*><\/queries>/,
-        "<queries>\n</queries>"
-      );
+  // First run after the tool that wrote unmarked <package> entries: move the configured
+  // ones into the generated block, so removing them from the config removes them here
+  if (!manifest.findGeneratedBlock(queriesElement, QUERIES_BLOCK)) {
+    const configuredKeys = new Set(entries.map((entry) => entry.key));
+    const adopted = manifest
+      .findChildren(queriesElement, "package")
+      .filter((element) => configuredKeys.has(queryKey(manifest, element)));
+
+    if (adopted.length > 0) {
+      const queriesPath = manifest.pathOf(queriesElement);
+      manifest.removeElements(adopted);
+      queriesElement = manifest.findElementByPath(queriesPath);
+      log(`Moved ${adopted.length} existing package(s) into the generated queries block`, colors.blue);
     }
+  }
 
-    // Get the lines of the manifest for easier processing
-    const lines = manifestContent.split("\n");
-
-    // Find the queries opening and closing lines
-    let queriesOpenLine = -1;
-    let queriesCloseLine = -1;
+  // Entries added by hand stay where they are and are not generated again
+  const manualKeys = new Set(
+    manifest
+      .manualChildren(queriesElement, QUERIES_BLOCK)
+      .map((element) => queryKey(manifest, element))
+  );
+  const generated = entries.filter((entry) => !manualKeys.has(entry.key));
 
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].includes("<queries") && queriesOpenLine === -1) {
-        queriesOpenLine = i;
-      }
-      if (lines[i].includes("</queries>") && queriesCloseLine === -1) {
-        queriesCloseLine = i;
-      }
+  for (const entry of entries) {
+    if (manualKeys.has(entry.key)) {
+      log(`Already declared: ${entry.label}`, colors.blue);
+    } else {
+      log(`Added ${entry.label}`, colors.green);
     }
+  }
 
-    if (queriesOpenLine !== -1 && queriesCloseLine !== -1) {
-      log(
-        `Found queries section from line ${queriesOpenLine + 1} to ${
-          queriesCloseLine + 1
-        }`,
-        colors.blue
-      );
+  manifest.setGeneratedBlock(
+    queriesElement,
+    QUERIES_BLOCK,
+    generated.map((entry) => entry.xml)
+  );
 
-      // Determine the indentation level for the tags inside <queries>
-      const queriesIndent = lines[queriesOpenLine].match(/^\s*/)[0];
-      const packageIndent = queriesIndent + "  ";
-
-      // Create new content by processing the file line by line
-      const newLines = [];
-      let inQueriesSection = false;
-
-      for (let i = 0; i < lines.length; i++) {
-        if (i === queriesOpenLine) {
-          inQueriesSection = true;
-          // Write the opening queries tag
-          newLines.push(lines[i]);
-
-          // Write new package entries right after the opening tag
-          for (const pkg of packages) {
-            newLines.push(`${packageIndent}<package android:name="${pkg}" />`);
-            log(`Added package: ${pkg}`, colors.green);
-          }
-        } else if (i === queriesCloseLine) {
-          inQueriesSection = false;
-          // Write the closing queries tag
-          newLines.push(lines[i]);
-        } else if (inQueriesSection) {
-          // Skip existing package entries, keep other content
-          if (
-            lines[i].includes("<package") &&
-            lines[i].includes("android:name")
-          ) {
-            log(`Removing package entry: ${lines[i].trim()}`, colors.yellow);
-          } else {
-            newLines.push(lines[i]);
-          }
-        } else {
-          // Outside the queries section, keep everything
-          newLines.push(lines[i]);
-        }
-      }
-
-      // Update manifest content
-      manifestContent = newLines.join("\n");
-      log("Updated queries section with new packages", colors.green);
-    } else {
-      log(
-        "Error: Invalid queries section. Cannot parse the manifest structure.",
-        colors.red
-      );
-      return false;
-    }
-  } else {
+  // Write the modified manifest back to file
+  if (manifest.write(config.manifestPath)) {
     log(
-      "No <queries> section found. Adding new section to AndroidManifest.xml",
-      colors.blue
+      `The manifest file has been updated at: ${config.manifestPath}`,
+      colors.green
     );
-
-    // Get the lines of the manifest for easier processing
-    const lines = manifestContent.split("\n");
-
-    // Find the position to insert the queries section (before <application> tag)
-    let applicationLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].includes("<application")) {
-        applicationLine = i;
-        break;
-      }
-    }
-
-    if (applicationLine === -1) {
-      log(
-        "Error: No <application> tag found in AndroidManifest.xml",
-        colors.red
-      );
-      return false;
-    }
-
-    log(`Found <application> tag at line ${applicationLine + 1}`, colors.blue);
-
-    // Extract the indentation from the line with <application>
-    const applicationIndent = lines[applicationLine].match(/^\s*/)[0];
-    const queriesIndent = applicationIndent;
-    const packageIndent = queriesIndent + "  ";
-
-    // Create new content
-    const newLines = [];
-
-    for (let i = 0; i < lines.length; i++) {
-      if (i === applicationLine) {
-        // Add queries section right before <application> tag with proper indentation
-        newLines.push(`${queriesIndent}<queries>`);
-
-        for (const pkg of packages) {
-          newLines.push(`${packageIndent}<package android:name="${pkg}" />`);
-          log(`Added package: ${pkg}`, colors.green);
-        }
-
-        newLines.push(`${queriesIndent}</queries>`);
-        newLines.push("");
-      }
-
-      // Add the original line
-      newLines.push(lines[i]);
-    }
-
-    // Update manifest content
-    manifestContent = newLines.join("\n");
-    log("Added new <queries> section with specified packages", colors.green);
+  } else {
+    log("AndroidManifest.xml queries are already up to date", colors.green);
   }
 
-  // Write the modified manifest back to file
-  fs.writeFileSync(config.manifestPath, manifestContent);
-
   log("=== Android manifest package queries setup complete ===", colors.green);
-  log("");
-  log("The following packages have been added to queries:");
-
-  for (const pkg of packages) {
-    log(`  - ${pkg}`, colors.blue);
-  }
-
-  log("");
-  log(
-    "You should now rebuild your Android app to verify the changes",
-    colors.green
-  );
-  log(
-    `The manifest file has been updated at: ${config.manifestPath}`,
-    colors.green
-  );
-
-  return true;
+  return entries.length > 0;
 }
 
 module.exports = setupKeychainsAndroid;
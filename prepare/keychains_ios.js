@@ -4,9 +4,10 @@
  * for secure sharing between apps with the same team ID
  */
 
-const fs = require("fs");
+const fs = require("./vfs");
 const path = require("path");
-const { execSync } = require("child_process");
+const PbxProject = require("./pbxproj");
+const { readConfig } = require("./config");
 
 // Console colors for better output
 const colors = {
@@ -34,11 +35,10 @@ function extractJsonValue(filePath, key, defaultValue) {
   }
 
   try {
-    const fileContent = fs.readFileSync(filePath, "utf8");
-    const json = JSON.parse(fileContent);
+    const json = readConfig(filePath);
     return json[key] !== undefined ? json[key] : defaultValue;
   } catch (error) {
-    log(`Error parsing JSON file: ${error.message}`, colors.red);
+    log(`Error: ${error.message}`, colors.red);
     return defaultValue;
   }
 }
@@ -50,11 +50,10 @@ function extractJsonArray(filePath, key) {
   }
 
   try {
-    const fileContent = fs.readFileSync(filePath, "utf8");
-    const json = JSON.parse(fileContent);
+    const json = readConfig(filePath);
     return Array.isArray(json[key]) ? json[key] : [];
   } catch (error) {
-    log(`Error parsing JSON file: ${error.message}`, colors.red);
+    log(`Error: ${error.message}`, colors.red);
     return [];
   }
 }
@@ -231,18 +230,70 @@ function updateEntitlementsFile(filePath, bundleId, keychains) {
   }
 }
 
-// Check if Xcode project references entitlements file
-function checkXcodeProjectReference(xcodeProjectPath, entitlementsFileName) {
+// Make sure the app target signs with the entitlements file (CODE_SIGN_ENTITLEMENTS)
+// Returns the number of build configurations that now reference it, or -1 on failure
+function ensureXcodeProjectReference(xcodeProjectPath, targetName, entitlementsPath) {
   try {
     if (!fs.existsSync(xcodeProjectPath)) {
-      return false;
+      return -1;
+    }
+
+    const project = PbxProject.read(xcodeProjectPath);
+    const targetId = project.findTargetId(targetName);
+
+    if (!targetId) {
+      log(`Could not find the ${targetName} target in the Xcode project`, colors.yellow);
+      return -1;
+    }
+
+    // CODE_SIGN_ENTITLEMENTS is relative to the directory containing the .xcodeproj
+    const sourceRoot = path.dirname(path.dirname(xcodeProjectPath));
+    const entitlementsSetting = path
+      .relative(sourceRoot, entitlementsPath)
+      .split(path.sep)
+      .join("/");
+
+    let referencing = 0;
+
+    for (const configurationId of project.getBuildConfigurationIds(targetId)) {
+      const configurationName = project.getObject(configurationId).name;
+      const current = project.getBuildSetting(configurationId, "CODE_SIGN_ENTITLEMENTS");
+
+      if (current === entitlementsSetting) {
+        referencing++;
+      } else if (current) {
+        // Keep per-configuration entitlements chosen by hand
+        log(
+          `${configurationName} configuration uses ${current}, leaving it unchanged`,
+          colors.yellow
+        );
+      } else {
+        project.setBuildSetting(configurationId, "CODE_SIGN_ENTITLEMENTS", entitlementsSetting);
+        log(
+          `Set CODE_SIGN_ENTITLEMENTS = ${entitlementsSetting} for ${configurationName}`,
+          colors.blue
+        );
+        referencing++;
+      }
     }
 
-    const content = fs.readFileSync(xcodeProjectPath, "utf8");
-    return content.includes(entitlementsFileName);
+    // Show the file in the project navigator next to the other app sources
+    if (!project.findFileReferenceId(path.basename(entitlementsPath))) {
+      const mainGroupId = project.getMainGroupId();
+      const groupId = project.findGroupId(targetName, mainGroupId) || mainGroupId;
+      const groupPath = project.getObject(groupId).path;
+
+      const fileRefId = project.addFileReference(
+        groupPath ? path.basename(entitlementsPath) : entitlementsSetting
+      );
+      project.addToGroup(groupId, fileRefId);
+    }
+
+    project.write(xcodeProjectPath);
+    return referencing;
   } catch (error) {
     log(`Error checking Xcode project file: ${error.message}`, colors.red);
-    return false;
+    return -1;
   }
 }
 
@@ -410,10 +461,13 @@ function setupKeychainsIos(configFile = DEFAULT_CONFIG_FILE, options = {}) {
   if (fs.existsSync(pbxprojPath)) {
     log(`Checking Xcode project file: ${pbxprojPath}`, colors.blue);
 
-    // Get the entitlements filename only
-    const entitlementsFilename = path.basename(entitlementsPath);
+    const referencing = ensureXcodeProjectReference(
+      pbxprojPath,
+      config.iosProjectName,
+      entitlementsPath
+    );
 
-    if (!checkXcodeProjectReference(pbxprojPath, entitlementsFilename)) {
+    if (referencing <= 0) {
       log(
         "Entitlements file not referenced in project. You need to manually add it in Xcode.",
         colors.yellow
@@ -424,7 +478,7 @@ function setupKeychainsIos(configFile = DEFAULT_CONFIG_FILE, options = {}) {
       log("4. Add the 'Keychain Sharing' capability", colors.yellow);
     } else {
       log(
-        "Entitlements file is already referenced in the Xcode project",
+        "Entitlements file is referenced in the Xcode project",
         colors.green
       );
     }
@@ -6,16 +6,37 @@
  * and generates app icons and logos directly in the iOS project
  */
 
-const fs = require("fs");
+const fs = require("./vfs");
 const path = require("path");
-const { execSync } = require("child_process");
 const generateAppAssets = require("./app_icons");
 const updateIosBundleUrls = require("./bundle_urls");
+const updateAndroidBundleUrls = require("./bundle_urls_android");
 const setupGoogleServiceInfo = require("./google_service_info");
+const setupGoogleServicesJson = require("./google_services_json");
+const setupAndroidSigning = require("./android_signing");
+const writeExportOptions = require("./export_options");
+const collectArtifacts = require("./artifacts");
+const verifyAab = require("./verify_aab");
 const setupKeychainsIos = require("./keychains_ios");
 const setupKeychainsAndroid = require("./keychains_android");
 const copyLauncherIcons = require("./ic_launcher");
-const changeIOSLocalIp = require("./ios_local_ip");
+const generateAndroidIcons = require("./android_icons");
+const setupSplashScreenIos = require("./splash_screen_ios");
+const setupSplashScreenAndroid = require("./splash_screen_android");
+const bumpVersion = require("./version_bump");
+const { DEFAULT_STRATEGY: DEFAULT_BUILD_NUMBER_STRATEGY, resolveBuildNumber } = require("./build_number");
+const {
+  findMetroHost,
+  updateIosMetroHost,
+  updateAndroidMetroHost,
+  resetIosMetroHost,
+  resetAndroidMetroHost,
+  findHardcodedHosts,
+} = require("./metro_host");
+const plist = require("./plist");
+const GradleFile = require("./gradle_file");
+const { RELEASE_TYPES, toBundleShortVersion } = require("./semver");
+const { readConfig, validateConfig, useEnvironment } = require("./config");
 
 // Console colors for better output
 const colors = {
@@ -33,60 +54,107 @@ function log(message, color = colors.reset) {
 
 // Default values
 const DEFAULT_CONFIG_FILE = "./build.config.json";
-const DEFAULT_BUNDLE_ID = "com.myapp.default";
-const DEFAULT_TEAM_ID = "ABCDEF1234";
-const DEFAULT_DISPLAY_NAME = "My App";
+const SNAPSHOT_DIR = "./.prepare";
 const DEFAULT_APP_ICON = "";
 const DEFAULT_APP_PROVIDER = "com.myapp.default.RNProvider";
 const DEFAULT_LOGO_ICON = "";
 const DEFAULT_PLATFORM = "all";
 const DEFAULT_IOS_PROJECT_NAME = "MyApp";
-const DEFAULT_VERSION = "1.0.0";
 const DEFAULT_PRIMARY_COLOR = "#FFFFFF";
+const DEFAULT_APS_ENVIRONMENT = "production";
+const DEFAULT_METRO_PORT = 8081;
 const DEFAULT_KEYCHAINS = [];
 
 // Function to load config from file
-function loadConfig(configFile) {
-  if (!fs.existsSync(configFile)) {
-    log(`Error: Config file ${configFile} not found!`, colors.red);
-    process.exit(1);
-  }
-
+// overrides holds command line values (in config file keys) that replace file values
+function loadConfig(configFile, overrides = {}) {
   log(`Loading configuration from ${configFile}...`, colors.blue);
 
+  let fileConfig;
   try {
-    const data = fs.readFileSync(configFile, "utf8");
-    const config = JSON.parse(data);
-
-    const result = {
-      BUNDLE_ID: config.bundle_id || DEFAULT_BUNDLE_ID,
-      TEAM_ID: config.team_id || DEFAULT_TEAM_ID,
-      DISPLAY_NAME: config.display_name || DEFAULT_DISPLAY_NAME,
-      APP_ICON: config.app_icon || DEFAULT_APP_ICON,
-      LOGO_ICON: config.logo_icon || DEFAULT_LOGO_ICON,
-      PRIMARY_COLOR: config.primary_color || DEFAULT_PRIMARY_COLOR,
-      PLATFORM: config.platform || DEFAULT_PLATFORM,
-      IOS_PROJECT_NAME: config.ios_project_name || DEFAULT_IOS_PROJECT_NAME,
-      VERSION: config.version || DEFAULT_VERSION,
-      APP_PROVIDER: config.app_provider || DEFAULT_APP_PROVIDER,
-      IC_LAUNCHER: config.ic_launcher || null, // Add this line to read ic_launcher from config
-      KEYCHAINS: Array.isArray(config.keychains)
-        ? config.keychains
-        : DEFAULT_KEYCHAINS,
-    };
+    fileConfig = readConfig(configFile);
+  } catch (error) {
+    log(`Error: ${error.message}`, colors.red);
+    process.exit(1);
+  }
 
-    // Use display_name for both iOS and Android
-    result.APP_NAME = result.DISPLAY_NAME;
+  const config = { ...fileConfig };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value && typeof value === "object") {
+      // Object values (like metro) override single keys of the config block
+      if (Object.keys(value).length > 0) config[key] = { ...config[key], ...value };
+    } else if (value) {
+      config[key] = value;
+    }
+  }
 
-    // Use bundle_id for Android too
-    result.ANDROID_APP_ID = result.BUNDLE_ID;
+  // Report every problem at once, before any project file is touched
+  const { errors, warnings } = validateConfig(config);
 
-    log("Configuration loaded successfully.", colors.green);
-    return result;
-  } catch (error) {
-    log(`Error parsing config file: ${error.message}`, colors.red);
+  for (const warning of warnings) {
+    log(`Warning: ${warning.path}: ${warning.message}`, colors.yellow);
+  }
+
+  if (errors.length > 0) {
+    log(`Error: ${configFile} is invalid:`, colors.red);
+    for (const error of errors) {
+      log(`  - ${error.path}: ${error.message}`, colors.red);
+    }
     process.exit(1);
   }
+
+  const result = {
+    BUNDLE_ID: config.bundle_id,
+    TEAM_ID: config.team_id || "",
+    DISPLAY_NAME: config.display_name,
+    APP_ICON: config.app_icon || DEFAULT_APP_ICON,
+    LOGO_ICON: config.logo_icon || DEFAULT_LOGO_ICON,
+    PRIMARY_COLOR: config.primary_color || DEFAULT_PRIMARY_COLOR,
+    PLATFORM: config.platform || DEFAULT_PLATFORM,
+    IOS_PROJECT_NAME: config.ios_project_name || DEFAULT_IOS_PROJECT_NAME,
+    VERSION: config.version,
+    APP_PROVIDER: config.app_provider || DEFAULT_APP_PROVIDER,
+    IC_LAUNCHER: config.ic_launcher || null, // Add this line to read ic_launcher from config
+    ANDROID_ICON: config.android_icon || {},
+    IOS_ICON_IDIOMS: config.ios_icon_idioms || null,
+    KEYCHAINS: config.keychains || DEFAULT_KEYCHAINS,
+    APS_ENVIRONMENT: config.aps_environment || DEFAULT_APS_ENVIRONMENT,
+    GOOGLE_SERVICE_INFO: config.google_service_info || null,
+    GOOGLE_SERVICES_JSON: config.google_services_json || null,
+    METRO: config.metro || {},
+  };
+
+  // One build number strategy for both platforms, unset keys use the defaults of build_number.js
+  const buildNumber = config.build_number || {};
+  result.BUILD_NUMBER_STRATEGY = buildNumber.strategy;
+  result.BUILD_NUMBER_COUNTER_FILE = buildNumber.counter_file;
+  result.BUILD_NUMBER_OFFSET = buildNumber.offset;
+
+  // Splash screens replace the launch screen and theme, so only a splash block turns them on
+  const splash = config.splash || {};
+  result.SPLASH_ENABLED = Boolean(config.splash) && splash.enabled !== false;
+  result.SPLASH_BACKGROUND_COLOR = splash.background_color || result.PRIMARY_COLOR;
+  result.SPLASH_DARK_BACKGROUND_COLOR =
+    splash.dark_background_color || result.SPLASH_BACKGROUND_COLOR;
+
+  // Use display_name for both iOS and Android
+  result.APP_NAME = result.DISPLAY_NAME;
+
+  // Use bundle_id for Android too
+  result.ANDROID_APP_ID = result.BUNDLE_ID;
+
+  log("Configuration loaded successfully.", colors.green);
+  return result;
+}
+
+// Stores reject uploads whose build number is not above the last one
+function warnIfNotIncreasing(label, current, next) {
+  if (!isNaN(current) && next <= current) {
+    log(
+      `Warning: ${label} ${next} is not higher than the current ${current}; the store will reject the upload`,
+      colors.yellow
+    );
+  }
 }
 
 // Function to update iOS configuration
@@ -101,24 +169,20 @@ function updateIosConfig(config) {
 
   // Check if files exist
   if (!fs.existsSync(plistPath)) {
-    log(`Error: ${plistPath} not found!`, colors.red);
-    process.exit(1);
+    throw new Error(`${plistPath} not found!`);
   }
 
   if (!fs.existsSync(pbxprojPath)) {
-    log(`Error: ${pbxprojPath} not found!`, colors.red);
-    process.exit(1);
+    throw new Error(`${pbxprojPath} not found!`);
   }
 
+  const infoPlist = plist.openPlist(plistPath);
+
   // Update bundle display name in Info.plist
-  execSync(
-    `/usr/libexec/PlistBuddy -c "Set :CFBundleDisplayName ${config.DISPLAY_NAME}" "${plistPath}"`
-  );
+  infoPlist.set("CFBundleDisplayName", config.DISPLAY_NAME);
 
   // Update bundle identifier in Info.plist (additional to project.pbxproj)
-  execSync(
-    `/usr/libexec/PlistBuddy -c "Set :CFBundleIdentifier ${config.BUNDLE_ID}" "${plistPath}"`
-  );
+  infoPlist.set("CFBundleIdentifier", config.BUNDLE_ID);
 
   // Replace bundle identifier in project.pbxproj
   // Update DEVELOPMENT_TEAM in project.pbxproj - this handles both quoted and unquoted values
@@ -137,39 +201,35 @@ function updateIosConfig(config) {
   }
 
   // Update version number in Info.plist
-  execSync(
-    `/usr/libexec/PlistBuddy -c "Set :CFBundleShortVersionString ${config.VERSION}" "${plistPath}"`
-  );
+  // iOS accepts MAJOR.MINOR.PATCH only, prerelease versions ship as their release
+  const iosVersion = toBundleShortVersion(config.VERSION);
+  infoPlist.set("CFBundleShortVersionString", iosVersion);
 
-  // Get current build number
-  let currentBuild = "0";
-  try {
-    currentBuild = execSync(
-      `/usr/libexec/PlistBuddy -c "Print :CFBundleVersion" "${plistPath}"`,
-      { encoding: "utf8" }
-    ).trim();
-  } catch (error) {
-    // If current build is not found, start with 0
-  }
+  // Get current build number, if current build is not found start with 0
+  const currentBuild = String(infoPlist.get("CFBundleVersion") ?? "0");
 
   let newBuild = currentBuild;
 
   // Only auto-increment build number if autoVersionCode flag is set
   if (config.autoVersionCode) {
-    newBuild = isNaN(parseInt(currentBuild)) ? 1 : parseInt(currentBuild) + 1;
+    if (config.BUILD_NUMBER != null) {
+      // Same number as Android, from the build number strategy
+      newBuild = config.BUILD_NUMBER;
+      warnIfNotIncreasing("iOS build number", parseInt(currentBuild), newBuild);
+    } else {
+      newBuild = isNaN(parseInt(currentBuild)) ? 1 : parseInt(currentBuild) + 1;
+    }
 
     log(
-      `Auto-incrementing iOS build number from ${currentBuild} to ${newBuild}`,
+      `${config.BUILD_NUMBER != null ? "Setting" : "Auto-incrementing"} iOS build number from ${currentBuild} to ${newBuild}`,
       colors.blue
     );
 
     // Update build number in Info.plist
-    execSync(
-      `/usr/libexec/PlistBuddy -c "Set :CFBundleVersion ${newBuild}" "${plistPath}"`
-    );
+    infoPlist.set("CFBundleVersion", String(newBuild));
 
     log(
-      `iOS version updated to ${config.VERSION} (build ${newBuild})`,
+      `iOS version updated to ${iosVersion} (build ${newBuild})`,
       colors.green
     );
   } else {
@@ -177,11 +237,13 @@ function updateIosConfig(config) {
     log(`Keeping current iOS build number: ${currentBuild}`, colors.blue);
 
     log(
-      `iOS version updated to ${config.VERSION} (build unchanged)`,
+      `iOS version updated to ${iosVersion} (build unchanged)`,
       colors.green
     );
   }
 
+  infoPlist.save();
+
   // Update entitlements
   const entitlementsFiles = fs
     .readdirSync(`ios/${config.IOS_PROJECT_NAME}`)
@@ -191,26 +253,14 @@ function updateIosConfig(config) {
   if (entitlementsFiles.length > 0) {
     const entitlementsPath = entitlementsFiles[0];
 
-    // Ensure aps-environment is set to production
-    let entitlementsContent = fs.readFileSync(entitlementsPath, "utf8");
-
-    if (!entitlementsContent.includes("<key>aps-environment</key>")) {
-      log("Adding aps-environment entitlement...", colors.blue);
-      // Add before the closing dict tag
-      entitlementsContent = entitlementsContent.replace(
-        "</dict>",
-        "\t<key>aps-environment</key>\n\t<string>production</string>\n</dict>"
-      );
-    } else {
-      // Update existing aps-environment to production
-      entitlementsContent = entitlementsContent.replace(
-        "<string>development</string>",
-        "<string>production</string>"
-      );
+    // Set aps-environment for the selected environment (production unless configured)
+    const entitlements = plist.openPlist(entitlementsPath);
+    if (entitlements.get("aps-environment") !== config.APS_ENVIRONMENT) {
+      log(`Setting aps-environment to ${config.APS_ENVIRONMENT}...`, colors.blue);
+      entitlements.set("aps-environment", config.APS_ENVIRONMENT);
+      entitlements.save();
     }
 
-    fs.writeFileSync(entitlementsPath, entitlementsContent);
-
     // Setup keychains in iOS
     setupKeychainsIos(config.CONFIG_FILE);
   } else {
@@ -224,7 +274,7 @@ function updateIosConfig(config) {
   updateIosBundleUrls(config.CONFIG_FILE);
 
   // Setup Google Service Info
-  setupGoogleServiceInfo(config.CONFIG_FILE);
+  setupGoogleServiceInfo(config.CONFIG_FILE, { allowMismatch: config.allowMismatch });
 
   // Generate app assets first
   generateAppAssets({
@@ -232,10 +282,38 @@ function updateIosConfig(config) {
     appIcon: config.APP_ICON,
     logoIcon: config.LOGO_ICON,
     iosProjectName: config.IOS_PROJECT_NAME,
+    iosIconIdioms: config.IOS_ICON_IDIOMS,
   });
 
-  const appDelegatePath = `ios/${config.IOS_PROJECT_NAME}/AppDelegate.mm`;
-  changeIOSLocalIp(appDelegatePath);
+  // Launch screen with the logo generated above
+  if (config.SPLASH_ENABLED) {
+    setupSplashScreenIos({
+      iosProjectName: config.IOS_PROJECT_NAME,
+      backgroundColor: config.SPLASH_BACKGROUND_COLOR,
+      darkBackgroundColor: config.SPLASH_DARK_BACKGROUND_COLOR,
+    });
+  }
+
+  // Point debug builds at Metro on this machine, or back at localhost for a release
+  const iosProjectDir = `ios/${config.IOS_PROJECT_NAME}`;
+  if (config.release) {
+    resetIosMetroHost(iosProjectDir);
+
+    // Archives must not depend on the network of the machine that built them
+    const hardcodedHosts = findHardcodedHosts(iosProjectDir);
+    if (hardcodedHosts.length > 0) {
+      throw new Error(
+        `Release build with a hardcoded LAN address: ${hardcodedHosts
+          .map((found) => `${found.address} (${found.file}:${found.line})`)
+          .join(", ")}`
+      );
+    }
+  } else {
+    updateIosMetroHost(iosProjectDir, config.METRO);
+  }
+
+  // Export options used by release.sh to turn the archive into an .ipa
+  writeExportOptions(config.CONFIG_FILE, { iosProjectName: config.IOS_PROJECT_NAME });
 
   log("iOS configuration updated successfully.", colors.green);
 }
@@ -244,8 +322,8 @@ function updateIosConfig(config) {
 function updateAndroidConfig(config) {
   log("Updating Android configuration...", colors.blue);
 
-  // Update applicationId in build.gradle
-  const gradlePath = "android/app/build.gradle";
+  // Update applicationId in build.gradle (or build.gradle.kts)
+  const gradlePath = GradleFile.find("android/app");
 
   // Update app_name in strings.xml
   const stringsPath = "android/app/src/main/res/values/strings.xml";
@@ -258,72 +336,35 @@ function updateAndroidConfig(config) {
   const manifestPath = "android/app/src/main/AndroidManifest.xml";
 
   // Check if files exist
-  if (!fs.existsSync(gradlePath)) {
-    log(`Error: ${gradlePath} not found!`, colors.red);
-    process.exit(1);
+  if (!gradlePath) {
+    throw new Error("android/app/build.gradle (or build.gradle.kts) not found!");
   }
 
   if (!fs.existsSync(stringsPath)) {
-    log(`Error: ${stringsPath} not found!`, colors.red);
-    process.exit(1);
+    throw new Error(`${stringsPath} not found!`);
   }
 
   if (!fs.existsSync(colorsPath)) {
-    log(`Error: ${colorsPath} not found!`, colors.red);
-    process.exit(1);
+    throw new Error(`${colorsPath} not found!`);
   }
 
   if (!fs.existsSync(manifestPath)) {
-    log(`Error: ${manifestPath} not found!`, colors.red);
-    process.exit(1);
+    throw new Error(`${manifestPath} not found!`);
   }
 
-  // Update applicationId in build.gradle with a more flexible pattern
-  let gradleContent = fs.readFileSync(gradlePath, "utf8");
+  // Update applicationId in the app build file (Groovy or Kotlin DSL)
+  const gradleFile = GradleFile.read(gradlePath);
+  const gradleName = path.basename(gradlePath);
 
-  // Look for applicationId both with and without namespace block
-  const appIdPattern = /applicationId\s+"([^"]*)"/;
-  if (appIdPattern.test(gradleContent)) {
-    // Direct applicationId pattern
-    gradleContent = gradleContent.replace(
-        appIdPattern,
-        `applicationId "${config.ANDROID_APP_ID}"`
-    );
-    log(`Updated applicationId directly to: ${config.ANDROID_APP_ID}`, colors.blue);
+  const appIdResult = gradleFile.setProperty("applicationId", config.ANDROID_APP_ID);
+  if (appIdResult === "added") {
+    log(`Added applicationId to defaultConfig: ${config.ANDROID_APP_ID}`, colors.blue);
+  } else if (appIdResult) {
+    log(`Updated applicationId to: ${config.ANDROID_APP_ID}`, colors.blue);
   } else {
-    // Look inside defaultConfig block
-    const defaultConfigPattern = /defaultConfig\s+{([^}]*)}/s;
-    const defaultConfigMatch = gradleContent.match(defaultConfigPattern);
-
-    if (defaultConfigMatch) {
-      const defaultConfigContent = defaultConfigMatch[1];
-      const updatedDefaultConfig = defaultConfigContent.replace(
-          /applicationId\s+"([^"]*)"/,
-          `applicationId "${config.ANDROID_APP_ID}"`
-      );
-
-      if (updatedDefaultConfig !== defaultConfigContent) {
-        gradleContent = gradleContent.replace(
-            defaultConfigPattern,
-            `defaultConfig {${updatedDefaultConfig}}`
-        );
-        log(`Updated applicationId in defaultConfig to: ${config.ANDROID_APP_ID}`, colors.blue);
-      } else {
-        // If not found, add it to defaultConfig
-        const newDefaultConfig = defaultConfigContent.trim() + `\n        applicationId "${config.ANDROID_APP_ID}"`;
-        gradleContent = gradleContent.replace(
-            defaultConfigPattern,
-            `defaultConfig {${newDefaultConfig}\n    }`
-        );
-        log(`Added applicationId to defaultConfig: ${config.ANDROID_APP_ID}`, colors.blue);
-      }
-    } else {
-      log(`Warning: Could not find appropriate location to update applicationId in build.gradle`, colors.yellow);
-    }
+    log(`Warning: Could not find appropriate location to update applicationId in ${gradleName}`, colors.yellow);
   }
 
-  fs.writeFileSync(gradlePath, gradleContent);
-
   // Update app_name and app_provider in strings.xml
   let stringsContent = fs.readFileSync(stringsPath, "utf8");
 
@@ -363,32 +404,35 @@ function updateAndroidConfig(config) {
     fs.writeFileSync(colorsNightPath, colorsNightContent);
   }
 
-  // Update version in build.gradle
-  gradleContent = gradleContent.replace(
-    /versionName "[^"]*"/,
-    `versionName "${config.VERSION}"`
-  );
+  // Update version in the app build file
+  if (!gradleFile.setProperty("versionName", config.VERSION)) {
+    log(`Warning: Could not find appropriate location to update versionName in ${gradleName}`, colors.yellow);
+  }
 
   // Get current version code (build number)
-  const versionCodeMatch = gradleContent.match(/versionCode (\d+)/);
-  let currentVersionCode = versionCodeMatch ? parseInt(versionCodeMatch[1]) : 0;
+  let currentVersionCode = gradleFile.getProperty("versionCode");
+  if (typeof currentVersionCode !== "number") {
+    currentVersionCode = 0;
+  }
 
   let newVersionCode;
 
   // Only auto-increment version code if autoVersionCode flag is set
   if (config.autoVersionCode) {
-    newVersionCode = currentVersionCode + 1;
+    if (config.BUILD_NUMBER != null) {
+      // Same number as iOS, from the build number strategy
+      newVersionCode = config.BUILD_NUMBER;
+      warnIfNotIncreasing("Android version code", currentVersionCode, newVersionCode);
+    } else {
+      newVersionCode = currentVersionCode + 1;
+    }
     log(
-      `Auto-incrementing version code from ${currentVersionCode} to ${newVersionCode}`,
+      `${config.BUILD_NUMBER != null ? "Setting" : "Auto-incrementing"} version code from ${currentVersionCode} to ${newVersionCode}`,
       colors.blue
     );
 
-    // Update version code in build.gradle
-    gradleContent = gradleContent.replace(
-      /versionCode \d+/,
-      `versionCode ${newVersionCode}`
-    );
-    fs.writeFileSync(gradlePath, gradleContent);
+    // Update version code in the app build file
+    gradleFile.setProperty("versionCode", newVersionCode);
 
     log(
       `Android version updated to ${config.VERSION} (code ${newVersionCode})`,
@@ -404,9 +448,20 @@ function updateAndroidConfig(config) {
     );
   }
 
+  gradleFile.write(gradlePath);
+
+  // Setup release signing in the app build file
+  setupAndroidSigning(config.CONFIG_FILE);
+
   // Setup keychains in Android
   setupKeychainsAndroid(config.CONFIG_FILE);
 
+  // Update bundle URLs (deep-link intent filters)
+  updateAndroidBundleUrls(config.CONFIG_FILE, manifestPath);
+
+  // Setup Google Services JSON
+  setupGoogleServicesJson(config.CONFIG_FILE, { allowMismatch: config.allowMismatch });
+
   // Add this block to copy ic_launcher resources if defined
   if (config.IC_LAUNCHER) {
     log("Copying IC Launcher resources...", colors.blue);
@@ -415,11 +470,137 @@ function updateAndroidConfig(config) {
       source: config.IC_LAUNCHER,
       androidResPath: 'android/app/src/main/res'
     });
+  } else if (config.APP_ICON) {
+    // Otherwise generate the launcher icons from the same app icon as iOS
+    generateAndroidIcons({
+      appIcon: config.APP_ICON,
+      androidIcon: config.ANDROID_ICON,
+      androidResPath: "android/app/src/main/res",
+    });
+  }
+
+  // Point debug builds at Metro on this machine (release builds do not use it)
+  if (config.release) {
+    resetAndroidMetroHost("android");
+  } else {
+    updateAndroidMetroHost("android", config.METRO);
+  }
+
+  // Android 12+ splash screen
+  if (config.SPLASH_ENABLED) {
+    setupSplashScreenAndroid({
+      logo: config.LOGO_ICON,
+      backgroundColor: config.SPLASH_BACKGROUND_COLOR,
+      darkBackgroundColor: config.SPLASH_DARK_BACKGROUND_COLOR,
+      androidResPath: "android/app/src/main/res",
+    });
   }
 
   log("Android configuration updated successfully.", colors.green);
 }
 
+// Firebase project and app of the iOS plist, or null when it cannot be read
+function describeGoogleServiceInfo(filePath) {
+  try {
+    const { value } = plist.readPlist(filePath);
+    return `project ${value.PROJECT_ID}, app ${value.GOOGLE_APP_ID}, bundle id ${value.BUNDLE_ID}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Firebase project and app of the Android client matching the bundle id
+function describeGoogleServicesJson(filePath, bundleId) {
+  try {
+    const json = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const client = (json.client || []).find(
+      (entry) =>
+        entry.client_info &&
+        entry.client_info.android_client_info &&
+        entry.client_info.android_client_info.package_name === bundleId
+    );
+    const appId = client ? client.client_info.mobilesdk_app_id : "none for this package";
+    return `project ${json.project_info && json.project_info.project_id}, app ${appId}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Summary of what the run set up, printed once every step succeeded
+function printRunSummary(config) {
+  const buildsIos = config.PLATFORM === "ios" || config.PLATFORM === "all";
+  const buildsAndroid = config.PLATFORM === "android" || config.PLATFORM === "all";
+
+  log("=========================", colors.green);
+  log("Run summary:");
+  log(`Bundle ID: ${config.BUNDLE_ID}`, colors.blue);
+  log(`Version: ${config.VERSION}`, colors.blue);
+  if (config.BUILD_NUMBER != null) {
+    log(`Build Number: ${config.BUILD_NUMBER} (${config.BUILD_NUMBER_STRATEGY || DEFAULT_BUILD_NUMBER_STRATEGY}, iOS and Android)`, colors.blue);
+  }
+
+  if (buildsIos && config.GOOGLE_SERVICE_INFO) {
+    const description = describeGoogleServiceInfo(config.GOOGLE_SERVICE_INFO);
+    log(`Firebase (iOS): ${description || "unreadable"}`, colors.blue);
+  }
+
+  if (buildsAndroid && config.GOOGLE_SERVICES_JSON) {
+    const description = describeGoogleServicesJson(config.GOOGLE_SERVICES_JSON, config.BUNDLE_ID);
+    log(`Firebase (Android): ${description || "unreadable"}`, colors.blue);
+  }
+  log("=========================", colors.green);
+}
+
+// Revert the files changed by the last run from its snapshot
+function restoreLastRun() {
+  const result = fs.restoreSnapshot(SNAPSHOT_DIR);
+
+  if (!result) {
+    log(`Nothing to restore: no snapshot found in ${SNAPSHOT_DIR}`, colors.yellow);
+    return;
+  }
+
+  log(
+    `Restored ${result.files} file(s) changed by the ${
+      result.interrupted ? "interrupted " : ""
+    }run started at ${result.startedAt}.`,
+    colors.green
+  );
+}
+
+// Bump the version in the config file and both platforms, as one transaction
+function runBump(args, config) {
+  if (!args.dryRun) {
+    fs.beginTransaction(SNAPSHOT_DIR);
+  }
+
+  try {
+    bumpVersion(args.configFile, args.bump, {
+      platform: config.PLATFORM,
+      iosProjectName: config.IOS_PROJECT_NAME,
+    });
+  } catch (error) {
+    log(`Error: ${error.message}`, colors.red);
+
+    if (!args.dryRun) {
+      const restored = fs.rollbackTransaction();
+      log(
+        `Rolled back ${restored} file(s) to their state before this run.`,
+        colors.yellow
+      );
+    }
+    process.exit(1);
+  }
+
+  if (args.dryRun) {
+    fs.printDryRunReport();
+    return;
+  }
+
+  fs.commitTransaction();
+  log("Version bumped successfully!", colors.green);
+}
+
 // Parse command line arguments
 function parseArgs() {
   const args = {
@@ -427,6 +608,17 @@ function parseArgs() {
     appIcon: null,
     logoIcon: null,
     autoVersionCode: false,
+    plistBackend: null,
+    env: null,
+    dryRun: false,
+    restore: false,
+    allowMismatch: false,
+    metro: {},
+    release: false,
+    bump: null,
+    collect: false,
+    verifyAab: false,
+    aabPath: null,
     help: false,
   };
 
@@ -456,6 +648,48 @@ function parseArgs() {
     } else if (arg === "--autoVersionCode") {
       // Also support flag-style usage (no argument)
       args.autoVersionCode = true;
+    } else if (arg === "--plist-backend" && i + 1 < process.argv.length) {
+      args.plistBackend = process.argv[++i];
+    } else if (arg === "--env" && i + 1 < process.argv.length) {
+      args.env = process.argv[++i];
+    } else if (arg === "--dry-run") {
+      args.dryRun = true;
+    } else if (arg === "--restore") {
+      args.restore = true;
+    } else if (arg === "--allow-mismatch") {
+      args.allowMismatch = true;
+    } else if (arg === "--release") {
+      args.release = true;
+    } else if (arg === "--metro-host" && i + 1 < process.argv.length) {
+      args.metro.host = process.argv[++i];
+    } else if (arg === "--metro-interface" && i + 1 < process.argv.length) {
+      args.metro.interface = process.argv[++i];
+    } else if (arg === "--metro-port" && i + 1 < process.argv.length) {
+      const value = process.argv[++i];
+      if (!/^\d+$/.test(value)) {
+        log(`Invalid value for --metro-port: ${value}. Expected a port number.`, colors.red);
+        process.exit(1);
+      }
+      args.metro.port = Number(value);
+    } else if (arg === "--metro-entry" && i + 1 < process.argv.length) {
+      args.metro.entry_file = process.argv[++i];
+    } else if (arg === "bump" && i + 1 < process.argv.length) {
+      args.bump = process.argv[++i];
+      if (!RELEASE_TYPES.includes(args.bump)) {
+        log(
+          `Invalid release type for bump: ${args.bump}. Expected ${RELEASE_TYPES.join(", ")}.`,
+          colors.red
+        );
+        process.exit(1);
+      }
+    } else if (arg === "collect") {
+      args.collect = true;
+    } else if (arg === "verify-aab") {
+      args.verifyAab = true;
+      // Optional path to the bundle (or an .apk)
+      if (i + 1 < process.argv.length && !process.argv[i + 1].startsWith("--")) {
+        args.aabPath = process.argv[++i];
+      }
     } else if (arg === "--help") {
       args.help = true;
     } else {
@@ -471,6 +705,19 @@ function parseArgs() {
 // Display help message
 function showHelp() {
   log("Usage: node prepare.js [options]", colors.green);
+  log(`       node prepare.js bump <${RELEASE_TYPES.join("|")}> [options]`, colors.green);
+  log("       node prepare.js collect [options]", colors.green);
+  log("       node prepare.js verify-aab [path] [options]", colors.green);
+  log("Commands:");
+  log(
+    "  bump             Bump the config's version and set it as CFBundleShortVersionString and versionName"
+  );
+  log(
+    "  collect          Copy the built .ipa/.aab into dist/<bundle id>/<version>+<build>/ with a release.json manifest"
+  );
+  log(
+    "  verify-aab       Check package, versionName, versionCode and <queries> of the built .aab against the config"
+  );
   log("Options:");
   log(
     `  --file           Path to configuration file (default: ${DEFAULT_CONFIG_FILE})`
@@ -484,7 +731,40 @@ function showHelp() {
   log(
     "  --autoVersionCode [0|1]  Auto-increment version numbers (0=disabled, 1=enabled, default: 0)"
   );
+  log(
+    "  --plist-backend  How plist files are edited: 'js' (default, any OS) or 'plistbuddy' (macOS only)"
+  );
+  log(
+    "  --env            Environment profile from the config's \"environments\" block (e.g. dev, staging, prod)"
+  );
+  log(
+    "  --dry-run        Show a diff of every file that would change without modifying anything"
+  );
+  log(
+    `  --restore        Revert the files changed by the last run (snapshot kept in ${SNAPSHOT_DIR}, add it to .gitignore)`
+  );
+  log(
+    "  --allow-mismatch Copy Firebase config files even when they belong to another bundle id"
+  );
+  log(
+    "  --release        Prepare a release build: no Metro host, fail on LAN addresses left in the AppDelegate"
+  );
+  log(
+    "  --metro-host     Host or IP of the Metro bundler for debug builds (default: detected private IP)"
+  );
+  log(
+    "  --metro-interface Network interface to take the Metro IP from, e.g. en0"
+  );
+  log("  --metro-port     Metro port (default: 8081)");
+  log('  --metro-entry    Bundle root without extension (default: "index")');
   log("  --help           Show this help message");
+  log("");
+  log(
+    'A config file can inherit from base configs with "extends": "base.json" (or a list of files).'
+  );
+  log(
+    'Objects are merged; arrays replace inherited ones unless written as {"$append": [...]}.'
+  );
   process.exit(0);
 }
 
@@ -498,19 +778,86 @@ function main() {
     showHelp();
   }
 
-  // Load configuration from file
-  const config = loadConfig(args.configFile);
-  config.CONFIG_FILE = args.configFile;
+  // Revert the last run instead of preparing
+  if (args.restore) {
+    restoreLastRun();
+    return;
+  }
+
+  // Keep every write in memory when previewing
+  fs.setDryRun(args.dryRun);
 
-  // Override with command line values if provided
-  if (args.appIcon) config.APP_ICON = args.appIcon;
-  if (args.logoIcon) config.LOGO_ICON = args.logoIcon;
+  // Select how Info.plist files are edited
+  if (args.plistBackend) {
+    try {
+      plist.setDefaultBackend(args.plistBackend);
+    } catch (error) {
+      log(`Error: ${error.message}`, colors.red);
+      process.exit(1);
+    }
+  }
+
+  // Select the environment profile applied on top of the config
+  useEnvironment(args.env);
+
+  // Load and validate configuration, with command line values overriding the file
+  const config = loadConfig(args.configFile, {
+    app_icon: args.appIcon,
+    logo_icon: args.logoIcon,
+    metro: args.metro,
+  });
+  config.CONFIG_FILE = args.configFile;
   config.autoVersionCode = args.autoVersionCode;
+  config.allowMismatch = args.allowMismatch;
+  config.release = args.release;
+
+  // Bump the version instead of preparing
+  if (args.bump) {
+    runBump(args, config);
+    return;
+  }
+
+  // Verify the built app bundle instead of preparing
+  if (args.verifyAab) {
+    if (!verifyAab(args.configFile, args.aabPath ? { aabPath: args.aabPath } : {})) {
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Collect the release artifacts instead of preparing
+  if (args.collect) {
+    collectArtifacts(args.configFile, {
+      platform: config.PLATFORM,
+      iosProjectName: config.IOS_PROJECT_NAME,
+      snapshotPath: SNAPSHOT_DIR,
+    });
+    return;
+  }
+
+  // Resolve the Metro host before anything is modified (release builds do not use it)
+  try {
+    const { host, interfaceName } = config.release
+      ? { host: null, interfaceName: null }
+      : findMetroHost(config.METRO);
+    config.METRO = {
+      ...config.METRO,
+      host,
+      interfaceName,
+      port: config.METRO.port || DEFAULT_METRO_PORT,
+    };
+  } catch (error) {
+    log(`Error: ${error.message}`, colors.red);
+    process.exit(1);
+  }
 
   // Display main configuration
   log("React Native App Preparation Script", colors.green);
   log("=========================", colors.green);
   log("Building with parameters:");
+  if (args.env) {
+    log(`Environment: ${args.env}`, colors.blue);
+  }
   log(
     `Bundle ID: ${config.BUNDLE_ID} (used for both iOS and Android)`,
     colors.blue
@@ -524,7 +871,7 @@ function main() {
   log(
     `Version: ${config.VERSION} ${
       config.autoVersionCode
-        ? "(build numbers will be auto-incremented)"
+        ? `(build numbers will be auto-incremented, strategy: ${config.BUILD_NUMBER_STRATEGY || DEFAULT_BUILD_NUMBER_STRATEGY})`
         : "(build numbers will remain unchanged)"
     }`,
     colors.blue
@@ -533,6 +880,24 @@ function main() {
   log(`Platform: ${config.PLATFORM}`, colors.blue);
   log(`App Icon: ${config.APP_ICON}`, colors.blue);
   log(`Logo Icon: ${config.LOGO_ICON}`, colors.blue);
+  log(
+    `Metro Host: ${
+      config.release
+        ? "none (release build)"
+        : `${config.METRO.host}:${config.METRO.port}${
+            config.METRO.interfaceName ? ` (${config.METRO.interfaceName})` : ""
+          }`
+    }`,
+    colors.blue
+  );
+  log(
+    `Splash Screen: ${
+      config.SPLASH_ENABLED
+        ? `${config.SPLASH_BACKGROUND_COLOR} / ${config.SPLASH_DARK_BACKGROUND_COLOR} (dark)`
+        : "disabled"
+    }`,
+    colors.blue
+  );
 
   if (config.KEYCHAINS.length > 0) {
     log("Keychains:", colors.blue);
@@ -542,15 +907,53 @@ function main() {
   }
   log("=========================", colors.green);
 
-  // Update configurations based on platform
-  if (config.PLATFORM === "ios" || config.PLATFORM === "all") {
-    updateIosConfig(config);
+  // Snapshot every file before it is modified, so a failure leaves nothing half-done
+  if (!args.dryRun) {
+    fs.beginTransaction(SNAPSHOT_DIR);
+  }
+
+  try {
+    // Pick one build number for both platforms
+    if (config.autoVersionCode) {
+      config.BUILD_NUMBER = resolveBuildNumber({
+        strategy: config.BUILD_NUMBER_STRATEGY,
+        counterFile: config.BUILD_NUMBER_COUNTER_FILE,
+        offset: config.BUILD_NUMBER_OFFSET,
+        plistPath: config.PLATFORM !== "android" ? `ios/${config.IOS_PROJECT_NAME}/Info.plist` : null,
+        gradlePath: config.PLATFORM !== "ios" ? GradleFile.find("android/app") : null,
+      });
+    }
+
+    // Update configurations based on platform
+    if (config.PLATFORM === "ios" || config.PLATFORM === "all") {
+      updateIosConfig(config);
+    }
+
+    if (config.PLATFORM === "android" || config.PLATFORM === "all") {
+      updateAndroidConfig(config);
+    }
+  } catch (error) {
+    log(`Error: ${error.message}`, colors.red);
+
+    if (!args.dryRun) {
+      const restored = fs.rollbackTransaction();
+      log(
+        `Rolled back ${restored} file(s) to their state before this run.`,
+        colors.yellow
+      );
+    }
+    process.exit(1);
   }
 
-  if (config.PLATFORM === "android" || config.PLATFORM === "all") {
-    updateAndroidConfig(config);
+  printRunSummary(config);
+
+  if (args.dryRun) {
+    fs.printDryRunReport();
+    return;
   }
 
+  fs.commitTransaction();
+
   log(
     "Preparation process completed successfully! You can now run the build script to create release builds.",
     colors.green
@@ -0,0 +1,327 @@
+/**
+ * Metro Host Module
+ * Points debug builds at the Metro bundler running on this machine: the bundle URL
+ * of the iOS AppDelegate (Objective-C or Swift, literal URL or RCTBundleURLProvider)
+ * and the dev server host resource of Android debug builds.
+ * For release builds the overrides are reverted to localhost, and the AppDelegate is
+ * checked for LAN addresses that would otherwise end up in the archive.
+ */
+
+const fs = require("./vfs");
+const os = require("os");
+const path = require("path");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_PORT = 8081;
+const DEFAULT_HOST = "localhost";
+const DEFAULT_ENTRY_FILE = "index";
+const APP_DELEGATE_FILES = ["AppDelegate.swift", "AppDelegate.mm", "AppDelegate.m"];
+const ANDROID_HOST_RESOURCE = "src/debug/res/values/metro_host.xml";
+
+// Private IPv4 ranges a phone on the same network can reach, in order of preference
+const PRIVATE_RANGES = [
+  (a, b) => a === 192 && b === 168,
+  (a) => a === 10,
+  (a, b) => a === 172 && b >= 16 && b <= 31,
+];
+
+// Interfaces of VMs, containers and VPNs, used only when nothing else matches
+const VIRTUAL_INTERFACE = /^(docker|br-|veth|vboxnet|vmnet|virbr|utun|awdl|llw|bridge|tun|tap|zt|tailscale)/;
+
+// Rank of a private address, or -1 for addresses outside the private ranges
+function privateRange(address) {
+  const [a, b] = address.split(".").map(Number);
+  return PRIVATE_RANGES.findIndex((inRange) => inRange(a, b));
+}
+
+/**
+ * Find the address Metro is reachable at
+ * @param {Object} metro - Metro settings
+ * @param {string} metro.host - Fixed host name or IP (skips detection)
+ * @param {string} metro.interface - Network interface to take the address from, e.g. en0
+ * @returns {{host: string, interfaceName: string|null}} - Host and the interface it belongs to
+ */
+function findMetroHost(metro = {}) {
+  if (metro.host) {
+    return { host: metro.host, interfaceName: null };
+  }
+
+  const interfaces = os.networkInterfaces();
+  const candidates = Object.keys(interfaces)
+    .flatMap((interfaceName) =>
+      interfaces[interfaceName]
+        .filter((iface) => (iface.family === "IPv4" || iface.family === 4) && !iface.internal)
+        .map((iface) => ({
+          host: iface.address,
+          interfaceName,
+          range: privateRange(iface.address),
+          virtual: VIRTUAL_INTERFACE.test(interfaceName),
+        }))
+    )
+    .filter((candidate) => candidate.range !== -1)
+    .filter((candidate) => !metro.interface || candidate.interfaceName === metro.interface);
+
+  if (candidates.length === 0) {
+    const available = Object.keys(interfaces)
+      .flatMap((interfaceName) =>
+        interfaces[interfaceName]
+          .filter((iface) => iface.family === "IPv4" || iface.family === 4)
+          .map((iface) => `${interfaceName} ${iface.address}`)
+      )
+      .join(", ");
+
+    throw new Error(
+      `No private IPv4 address found${metro.interface ? ` on interface ${metro.interface}` : ""} ` +
+        `(available: ${available || "none"}). Set metro.host or --metro-host to use a fixed host.`
+    );
+  }
+
+  // Physical interfaces first, then by address range, then by name so the choice is stable
+  candidates.sort(
+    (a, b) =>
+      a.virtual - b.virtual ||
+      a.range - b.range ||
+      a.interfaceName.localeCompare(b.interfaceName, "en", { numeric: true })
+  );
+
+  return { host: candidates[0].host, interfaceName: candidates[0].interfaceName };
+}
+
+// Find the AppDelegate source of the iOS project
+function findAppDelegate(iosProjectDir) {
+  return (
+    APP_DELEGATE_FILES.map((name) => path.join(iosProjectDir, name)).find((filePath) =>
+      fs.existsSync(filePath)
+    ) || null
+  );
+}
+
+// Replace literal http://host:port/entry.bundle?platform=ios URLs
+function replaceBundleUrls(content, location, entryFile) {
+  return content.replace(
+    /http:\/\/[A-Za-z0-9.-]+:\d+\/[\w./-]+?\.bundle\?platform=ios/g,
+    `http://${location}/${entryFile}.bundle?platform=ios`
+  );
+}
+
+// Set the jsLocation of RCTBundleURLProvider right before the bundle URL is requested
+function setProviderLocation(content, location, entryFile, swift) {
+  const bundleRoot = swift
+    ? /(jsBundleURL\(forBundleRoot:\s*)"[^"]*"/g
+    : /(jsBundleURLForBundleRoot:\s*)@"[^"]*"/g;
+
+  if (!bundleRoot.test(content)) {
+    return content;
+  }
+
+  let updated = content.replace(bundleRoot, swift ? `$1"${entryFile}"` : `$1@"${entryFile}"`);
+
+  const assignment = swift
+    ? /(RCTBundleURLProvider\.sharedSettings\(\)\.jsLocation\s*=\s*)"[^"]*"/
+    : /(\[RCTBundleURLProvider sharedSettings\]\.jsLocation\s*=\s*)@"[^"]*"/;
+
+  if (assignment.test(updated)) {
+    return updated.replace(assignment, swift ? `$1"${location}"` : `$1@"${location}"`);
+  }
+
+  // Insert the assignment on its own line before the (first) bundle URL line
+  const urlLine = swift
+    ? /^([ \t]*)(return\s+)?(.*jsBundleURL\(forBundleRoot:)/m
+    : /^([ \t]*)(.*jsBundleURLForBundleRoot:)/m;
+
+  updated = updated.replace(urlLine, (line, indent, returnKeyword, rest) => {
+    if (!swift) {
+      return `${indent}[RCTBundleURLProvider sharedSettings].jsLocation = @"${location}";\n${line}`;
+    }
+
+    // A Swift single-expression body needs an explicit return once it has two statements;
+    // a declaration or assignment such as `let url = ...` stays as it is
+    const statement = /^(let|var)\b|^[\w.]+\s*=[^=]/.test(rest);
+    return (
+      `${indent}RCTBundleURLProvider.sharedSettings().jsLocation = "${location}"\n` +
+      `${indent}${returnKeyword || (statement ? "" : "return ")}${rest}`
+    );
+  });
+
+  return updated;
+}
+
+/**
+ * Point the iOS debug bundle URL at Metro
+ * @param {string} iosProjectDir - Directory with the AppDelegate, e.g. ios/MyApp
+ * @param {Object} metro - Metro settings: host, port and entry_file
+ * @returns {boolean} - Success or failure
+ */
+function updateIosMetroHost(iosProjectDir, metro) {
+  const appDelegatePath = findAppDelegate(iosProjectDir);
+  if (!appDelegatePath) {
+    log(`Warning: No AppDelegate found in ${iosProjectDir}, Metro host not set`, colors.yellow);
+    return false;
+  }
+
+  const swift = appDelegatePath.endsWith(".swift");
+  const location = `${metro.host}:${metro.port || DEFAULT_PORT}`;
+  const entryFile = metro.entry_file || DEFAULT_ENTRY_FILE;
+
+  const content = fs.readFileSync(appDelegatePath, "utf8");
+  let updated = replaceBundleUrls(content, location, entryFile);
+  updated = setProviderLocation(updated, location, entryFile, swift);
+
+  if (updated === content && !content.includes(location)) {
+    log(
+      `Warning: No bundle URL or RCTBundleURLProvider call found in ${appDelegatePath}, Metro host not set`,
+      colors.yellow
+    );
+    return false;
+  }
+
+  fs.writeFileSync(appDelegatePath, updated);
+  log(`Metro host of ${path.basename(appDelegatePath)} set to ${location} (${entryFile})`, colors.green);
+  return true;
+}
+
+// Set a property in gradle.properties, adding it when missing
+function setGradleProperty(propertiesPath, key, value) {
+  let content = fs.existsSync(propertiesPath) ? fs.readFileSync(propertiesPath, "utf8") : "";
+  const pattern = new RegExp(`^${key}=.*$`, "m");
+
+  if (pattern.test(content)) {
+    content = content.replace(pattern, `${key}=${value}`);
+  } else {
+    content += `${content && !content.endsWith("\n") ? "\n" : ""}${key}=${value}\n`;
+  }
+
+  fs.writeFileSync(propertiesPath, content);
+}
+
+/**
+ * Point Android debug builds at Metro through the react_native_dev_server_ip resource
+ * @param {string} androidPath - Android project directory (default: android)
+ * @param {Object} metro - Metro settings: host and port
+ * @returns {boolean} - Success or failure
+ */
+function updateAndroidMetroHost(androidPath, metro) {
+  const appPath = path.join(androidPath, "app");
+  if (!fs.existsSync(appPath)) {
+    log(`Warning: ${appPath} not found, Metro host not set`, colors.yellow);
+    return false;
+  }
+
+  // Debug source set only, so release builds never carry the address
+  const resourcePath = path.join(appPath, ANDROID_HOST_RESOURCE);
+  fs.mkdirSync(path.dirname(resourcePath), { recursive: true });
+  fs.writeFileSync(
+    resourcePath,
+    [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      "<resources>",
+      `    <string name="react_native_dev_server_ip" translatable="false">${metro.host}</string>`,
+      "</resources>",
+      "",
+    ].join("\n")
+  );
+
+  // The port resource is generated by the React Native Gradle plugin from this property
+  const port = metro.port || DEFAULT_PORT;
+  const propertiesPath = path.join(androidPath, "gradle.properties");
+  const hasPortProperty =
+    fs.existsSync(propertiesPath) &&
+    /^reactNativeDevServerPort=/m.test(fs.readFileSync(propertiesPath, "utf8"));
+
+  if (port !== DEFAULT_PORT || hasPortProperty) {
+    setGradleProperty(propertiesPath, "reactNativeDevServerPort", port);
+  }
+
+  log(`Metro host of Android debug builds set to ${metro.host}:${port}`, colors.green);
+  return true;
+}
+
+/**
+ * Revert the iOS bundle URL to the React Native default for release builds:
+ * literal URLs point at localhost again and jsLocation overrides are removed
+ * @param {string} iosProjectDir - Directory with the AppDelegate, e.g. ios/MyApp
+ * @returns {boolean} - Whether the AppDelegate was changed
+ */
+function resetIosMetroHost(iosProjectDir) {
+  const appDelegatePath = findAppDelegate(iosProjectDir);
+  if (!appDelegatePath) {
+    return false;
+  }
+
+  const content = fs.readFileSync(appDelegatePath, "utf8");
+  const updated = content
+    .replace(
+      /http:\/\/[A-Za-z0-9.-]+(:\d+\/[\w./-]+?\.bundle\?platform=ios)/g,
+      `http://${DEFAULT_HOST}$1`
+    )
+    .replace(/^[ \t]*\[RCTBundleURLProvider sharedSettings\]\.jsLocation\s*=.*\n/gm, "")
+    .replace(/^[ \t]*RCTBundleURLProvider\.sharedSettings\(\)\.jsLocation\s*=.*\n/gm, "");
+
+  if (updated === content) {
+    return false;
+  }
+
+  fs.writeFileSync(appDelegatePath, updated);
+  log(`Reverted the Metro host of ${path.basename(appDelegatePath)} to ${DEFAULT_HOST}`, colors.green);
+  return true;
+}
+
+/**
+ * Remove the Metro host resource of Android debug builds
+ * @param {string} androidPath - Android project directory (default: android)
+ * @returns {boolean} - Whether the resource was removed
+ */
+function resetAndroidMetroHost(androidPath) {
+  const resourcePath = path.join(androidPath, "app", ANDROID_HOST_RESOURCE);
+  if (!fs.existsSync(resourcePath)) {
+    return false;
+  }
+
+  fs.unlinkSync(resourcePath);
+  log(`Removed ${resourcePath}`, colors.green);
+  return true;
+}
+
+/**
+ * Find private network addresses hardcoded in the AppDelegate
+ * @param {string} iosProjectDir - Directory with the AppDelegate, e.g. ios/MyApp
+ * @returns {{file: string, line: number, address: string}[]} - Addresses found
+ */
+function findHardcodedHosts(iosProjectDir) {
+  const appDelegatePath = findAppDelegate(iosProjectDir);
+  if (!appDelegatePath) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(appDelegatePath, "utf8")
+    .split("\n")
+    .flatMap((text, index) =>
+      (text.match(/\b\d{1,3}(?:\.\d{1,3}){3}\b/g) || [])
+        .filter((address) => privateRange(address) !== -1)
+        .map((address) => ({ file: appDelegatePath, line: index + 1, address }))
+    );
+}
+
+module.exports = {
+  findMetroHost,
+  updateIosMetroHost,
+  updateAndroidMetroHost,
+  resetIosMetroHost,
+  resetAndroidMetroHost,
+  findHardcodedHosts,
+};
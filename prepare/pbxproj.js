@@ -0,0 +1,710 @@
+/**
+ * Xcode Project (project.pbxproj) Module
+ * Parses project.pbxproj into an object model, offers lookups for targets,
+ * build configurations, groups and build phases, and serializes it back.
+ * Objects that were not modified are written back byte for byte; modified and
+ * new objects are rendered the same way Xcode writes them.
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Objects Xcode writes on a single line
+const SINGLE_LINE_ISAS = ["PBXBuildFile", "PBXFileReference"];
+
+// Properties holding IDs that Xcode does not annotate with a comment
+const UNANNOTATED_KEYS = ["remoteGlobalIDString"];
+
+// Default names Xcode shows for build phases without an explicit name
+const BUILD_PHASE_NAMES = {
+  PBXSourcesBuildPhase: "Sources",
+  PBXFrameworksBuildPhase: "Frameworks",
+  PBXResourcesBuildPhase: "Resources",
+  PBXHeadersBuildPhase: "Headers",
+  PBXCopyFilesBuildPhase: "CopyFiles",
+  PBXShellScriptBuildPhase: "ShellScript",
+};
+
+// lastKnownFileType values for the file types prepare adds to projects
+const FILE_TYPES = {
+  ".plist": "text.plist.xml",
+  ".entitlements": "text.plist.entitlements",
+  ".storyboard": "file.storyboard",
+  ".xcassets": "folder.assetcatalog",
+  ".json": "text.json",
+  ".m": "sourcecode.c.objc",
+  ".mm": "sourcecode.cpp.objcpp",
+  ".h": "sourcecode.c.h",
+  ".swift": "sourcecode.swift",
+  ".png": "image.png",
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+// Parser for the old-style (OpenStep) plist format used by project.pbxproj
+class PbxParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.objectSpans = {};
+    this.objectsBody = null;
+  }
+
+  error(message) {
+    const line = this.text.slice(0, this.pos).split("\n").length;
+    return new Error(`Invalid project.pbxproj (line ${line}): ${message}`);
+  }
+
+  skipTrivia() {
+    for (;;) {
+      while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+        this.pos++;
+      }
+
+      if (this.text.startsWith("/*", this.pos)) {
+        const end = this.text.indexOf("*/", this.pos + 2);
+        if (end === -1) throw this.error("unterminated comment");
+        this.pos = end + 2;
+      } else if (this.text.startsWith("//", this.pos)) {
+        const end = this.text.indexOf("\n", this.pos);
+        this.pos = end === -1 ? this.text.length : end + 1;
+      } else {
+        return;
+      }
+    }
+  }
+
+  expect(char) {
+    this.skipTrivia();
+    if (this.text[this.pos] !== char) {
+      throw this.error(`expected "${char}"`);
+    }
+    this.pos++;
+  }
+
+  parseValue(key) {
+    this.skipTrivia();
+    const char = this.text[this.pos];
+
+    if (char === "{") return this.parseDict(key === "objects" && this.depth === 1);
+    if (char === "(") return this.parseArray();
+    if (char === '"') return this.parseQuoted();
+    return this.parseUnquoted();
+  }
+
+  parseDict(recordSpans = false) {
+    this.expect("{");
+    this.depth = (this.depth || 0) + 1;
+    const result = {};
+
+    if (recordSpans) {
+      this.objectsBody = { start: this.text.indexOf("\n", this.pos) + 1 };
+    }
+
+    for (;;) {
+      this.skipTrivia();
+
+      if (this.text[this.pos] === "}") {
+        if (recordSpans) {
+          this.objectsBody.end = this.text.lastIndexOf("\n", this.pos) + 1;
+        }
+        this.pos++;
+        this.depth--;
+        return result;
+      }
+
+      const keyStart = this.pos;
+      const key = this.text[this.pos] === '"' ? this.parseQuoted() : this.parseUnquoted();
+      this.expect("=");
+      result[key] = this.parseValue(key);
+      this.expect(";");
+
+      if (recordSpans) {
+        // Spans cover whole lines so untouched objects can be copied verbatim
+        const lineEnd = this.text.indexOf("\n", this.pos);
+        this.objectSpans[key] = {
+          start: this.text.lastIndexOf("\n", keyStart) + 1,
+          end: lineEnd === -1 ? this.text.length : lineEnd + 1,
+        };
+      }
+    }
+  }
+
+  parseArray() {
+    this.expect("(");
+    const result = [];
+
+    for (;;) {
+      this.skipTrivia();
+
+      if (this.text[this.pos] === ")") {
+        this.pos++;
+        return result;
+      }
+
+      result.push(this.parseValue());
+      this.skipTrivia();
+
+      if (this.text[this.pos] === ",") {
+        this.pos++;
+      } else if (this.text[this.pos] !== ")") {
+        throw this.error('expected "," or ")"');
+      }
+    }
+  }
+
+  parseQuoted() {
+    this.pos++;
+    let result = "";
+
+    for (;;) {
+      const char = this.text[this.pos];
+
+      if (char === undefined) throw this.error("unterminated string");
+
+      if (char === '"') {
+        this.pos++;
+        return result;
+      }
+
+      if (char === "\\") {
+        const next = this.text[this.pos + 1];
+        if (next === "n") result += "\n";
+        else if (next === "t") result += "\t";
+        else if (next === "r") result += "\r";
+        else if (next === "U") {
+          result += String.fromCharCode(parseInt(this.text.substr(this.pos + 2, 4), 16));
+          this.pos += 4;
+        } else result += next;
+        this.pos += 2;
+      } else {
+        result += char;
+        this.pos++;
+      }
+    }
+  }
+
+  parseUnquoted() {
+    const match = /^[A-Za-z0-9_$+\/:.\-]+/.exec(this.text.slice(this.pos, this.pos + 1024));
+    if (!match) throw this.error("expected a value");
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  parseDocument() {
+    this.depth = 0;
+    return this.parseDict();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Serialization helpers
+// ---------------------------------------------------------------------------
+
+// Quote a string the way Xcode does (bare words stay unquoted)
+function quote(value) {
+  if (/^[A-Za-z0-9_$\/:.]+$/.test(value)) {
+    return value;
+  }
+
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t");
+
+  return `"${escaped}"`;
+}
+
+function indent(depth) {
+  return "\t".repeat(depth);
+}
+
+/**
+ * In-memory model of an Xcode project file
+ */
+class PbxProject {
+  /**
+   * @param {string} text - Content of project.pbxproj
+   */
+  constructor(text) {
+    const parser = new PbxParser(text);
+    const document = parser.parseDocument();
+
+    if (!document.objects || !parser.objectsBody) {
+      throw new Error("Invalid project.pbxproj: missing objects section");
+    }
+
+    this.text = text;
+    this.document = document;
+    this.objects = document.objects;
+    this.spans = parser.objectSpans;
+    this.objectsBody = parser.objectsBody;
+    this.dirty = new Set();
+    this.added = new Set();
+    this.removed = new Set();
+
+    // Reuse the comments Xcode already wrote so references render identically
+    this.comments = {};
+    const commentPattern = /\b([0-9A-Za-z]{24,32}) \/\* (.*?) \*\//g;
+    let match;
+    while ((match = commentPattern.exec(text)) !== null) {
+      if (!(match[1] in this.comments)) {
+        this.comments[match[1]] = match[2];
+      }
+    }
+  }
+
+  /**
+   * Read and parse a project.pbxproj file
+   * @param {string} filePath - Path to project.pbxproj
+   * @returns {PbxProject} - Parsed project
+   */
+  static read(filePath) {
+    return new PbxProject(fs.readFileSync(filePath, "utf8"));
+  }
+
+  /**
+   * Write the project back to disk
+   * @param {string} filePath - Path to project.pbxproj
+   * @returns {boolean} - Whether the file content changed
+   */
+  write(filePath) {
+    const content = this.toString();
+    if (content === this.text) {
+      return false;
+    }
+    fs.writeFileSync(filePath, content);
+    return true;
+  }
+
+  // -------------------------------------------------------------------------
+  // Lookups
+  // -------------------------------------------------------------------------
+
+  getObject(id) {
+    return this.objects[id];
+  }
+
+  /**
+   * Find the IDs of all objects with the given isa
+   * @param {string} isa - Object type, e.g. "PBXNativeTarget"
+   * @param {Function} predicate - Optional filter called with (object, id)
+   * @returns {string[]} - Matching object IDs
+   */
+  findObjectIds(isa, predicate = () => true) {
+    return Object.keys(this.objects).filter(
+      (id) => this.objects[id].isa === isa && predicate(this.objects[id], id)
+    );
+  }
+
+  getProjectObject() {
+    return this.objects[this.document.rootObject];
+  }
+
+  getTargetIds() {
+    return this.getProjectObject().targets || [];
+  }
+
+  /**
+   * Find a native target by name, falling back to the first application target
+   * @param {string} name - Target name (optional)
+   * @returns {string|null} - Target ID
+   */
+  findTargetId(name) {
+    const targets = this.getTargetIds();
+
+    if (name) {
+      const named = targets.find((id) => this.objects[id].name === name);
+      if (named) return named;
+    }
+
+    const application = targets.find(
+      (id) => this.objects[id].productType === "com.apple.product-type.application"
+    );
+
+    return application || null;
+  }
+
+  /**
+   * Get the build configurations (Debug, Release, ...) of a target or of the project
+   * @param {string} ownerId - Target ID, or the project's root object ID
+   * @returns {string[]} - XCBuildConfiguration IDs
+   */
+  getBuildConfigurationIds(ownerId = this.document.rootObject) {
+    const owner = this.objects[ownerId];
+    const list = owner && this.objects[owner.buildConfigurationList];
+    return list ? list.buildConfigurations || [] : [];
+  }
+
+  getBuildSetting(configurationId, key) {
+    const configuration = this.objects[configurationId];
+    return configuration && configuration.buildSettings
+      ? configuration.buildSettings[key]
+      : undefined;
+  }
+
+  /**
+   * Set a build setting on a build configuration
+   * @param {string} configurationId - XCBuildConfiguration ID
+   * @param {string} key - Build setting name
+   * @param {string|string[]} value - New value
+   * @returns {boolean} - Whether the value changed
+   */
+  setBuildSetting(configurationId, key, value) {
+    const configuration = this.objects[configurationId];
+    if (!configuration.buildSettings) {
+      configuration.buildSettings = {};
+    }
+
+    if (JSON.stringify(configuration.buildSettings[key]) === JSON.stringify(value)) {
+      return false;
+    }
+
+    const hadKey = key in configuration.buildSettings;
+    configuration.buildSettings[key] = value;
+
+    // Xcode keeps build settings sorted alphabetically
+    if (!hadKey) {
+      configuration.buildSettings = Object.keys(configuration.buildSettings)
+        .sort()
+        .reduce((result, name) => {
+          result[name] = configuration.buildSettings[name];
+          return result;
+        }, {});
+    }
+
+    this.markDirty(configurationId);
+    return true;
+  }
+
+  getMainGroupId() {
+    return this.getProjectObject().mainGroup;
+  }
+
+  /**
+   * Find a group by name or path
+   * @param {string} nameOrPath - Group name or path
+   * @param {string} parentId - Only search direct children of this group (optional)
+   * @returns {string|null} - Group ID
+   */
+  findGroupId(nameOrPath, parentId) {
+    const candidates = parentId
+      ? (this.objects[parentId].children || []).filter(
+          (id) => this.objects[id] && this.objects[id].isa === "PBXGroup"
+        )
+      : this.findObjectIds("PBXGroup");
+
+    return (
+      candidates.find(
+        (id) =>
+          this.objects[id].name === nameOrPath || this.objects[id].path === nameOrPath
+      ) || null
+    );
+  }
+
+  /**
+   * Find a file reference by its path (or file name)
+   * @param {string} filePath - Path as stored in the project, or just the file name
+   * @returns {string|null} - PBXFileReference ID
+   */
+  findFileReferenceId(filePath) {
+    const fileName = path.basename(filePath);
+
+    return (
+      this.findObjectIds("PBXFileReference", (object) => object.path === filePath)[0] ||
+      this.findObjectIds(
+        "PBXFileReference",
+        (object) =>
+          object.name === fileName || path.basename(object.path || "") === fileName
+      )[0] ||
+      null
+    );
+  }
+
+  /**
+   * Find a build phase of a target
+   * @param {string} targetId - Target ID
+   * @param {string} isa - Build phase type, e.g. "PBXResourcesBuildPhase"
+   * @returns {string|null} - Build phase ID
+   */
+  getBuildPhaseId(targetId, isa) {
+    const target = this.objects[targetId];
+    return (
+      (target.buildPhases || []).find((id) => this.objects[id].isa === isa) || null
+    );
+  }
+
+  // -------------------------------------------------------------------------
+  // Editing
+  // -------------------------------------------------------------------------
+
+  /**
+   * Generate a new object ID that is unique within the project
+   * @returns {string} - 24 character hexadecimal ID
+   */
+  generateUuid() {
+    for (;;) {
+      const id = crypto.randomBytes(12).toString("hex").toUpperCase();
+      if (!(id in this.objects)) return id;
+    }
+  }
+
+  /**
+   * Flag an object whose properties were changed directly so it is re-rendered
+   * @param {string} id - Object ID
+   */
+  markDirty(id) {
+    if (!this.added.has(id)) {
+      this.dirty.add(id);
+    }
+  }
+
+  /**
+   * Add a new object to the project
+   * @param {Object} object - Object properties including isa
+   * @param {string} id - Object ID (generated when omitted)
+   * @returns {string} - Object ID
+   */
+  addObject(object, id = this.generateUuid()) {
+    // Xcode writes isa first and the remaining keys alphabetically
+    const { isa, ...rest } = object;
+    const ordered = { isa };
+    for (const key of Object.keys(rest).sort()) {
+      if (rest[key] !== undefined) ordered[key] = rest[key];
+    }
+
+    this.objects[id] = ordered;
+    this.added.add(id);
+    return id;
+  }
+
+  removeObject(id) {
+    delete this.objects[id];
+    this.dirty.delete(id);
+    if (this.added.has(id)) {
+      this.added.delete(id);
+    } else {
+      this.removed.add(id);
+    }
+  }
+
+  /**
+   * Add a file reference
+   * @param {string} filePath - Path of the file relative to sourceTree
+   * @param {Object} options - name, sourceTree (default "<group>") and lastKnownFileType
+   * @returns {string} - PBXFileReference ID
+   */
+  addFileReference(filePath, options = {}) {
+    const extension = path.extname(filePath).toLowerCase();
+    const fileName = path.basename(filePath);
+
+    return this.addObject({
+      isa: "PBXFileReference",
+      fileEncoding: /^text|^sourcecode|^file\./.test(FILE_TYPES[extension] || "")
+        ? "4"
+        : undefined,
+      lastKnownFileType: options.lastKnownFileType || FILE_TYPES[extension] || "file",
+      name: options.name || (fileName !== filePath ? fileName : undefined),
+      path: filePath,
+      sourceTree: options.sourceTree || "<group>",
+    });
+  }
+
+  /**
+   * Add a child (file reference or group) to a group
+   * @param {string} groupId - PBXGroup ID
+   * @param {string} childId - ID of the child to add
+   * @returns {boolean} - Whether the child was added
+   */
+  addToGroup(groupId, childId) {
+    const group = this.objects[groupId];
+    if (!group.children) group.children = [];
+    if (group.children.includes(childId)) return false;
+
+    group.children.push(childId);
+    this.markDirty(groupId);
+    return true;
+  }
+
+  /**
+   * Add a file reference to a build phase of a target, creating the PBXBuildFile
+   * @param {string} targetId - Target ID
+   * @param {string} isa - Build phase type, e.g. "PBXResourcesBuildPhase"
+   * @param {string} fileRefId - PBXFileReference ID
+   * @returns {string|null} - PBXBuildFile ID, or null if the target has no such phase
+   */
+  addToBuildPhase(targetId, isa, fileRefId) {
+    const phaseId = this.getBuildPhaseId(targetId, isa);
+    if (!phaseId) return null;
+
+    const phase = this.objects[phaseId];
+    if (!phase.files) phase.files = [];
+
+    const existing = phase.files.find(
+      (id) => this.objects[id] && this.objects[id].fileRef === fileRefId
+    );
+    if (existing) return existing;
+
+    const buildFileId = this.addObject({ isa: "PBXBuildFile", fileRef: fileRefId });
+    phase.files.push(buildFileId);
+    this.markDirty(phaseId);
+    return buildFileId;
+  }
+
+  // -------------------------------------------------------------------------
+  // Serialization
+  // -------------------------------------------------------------------------
+
+  // Comment Xcode writes next to an object ID
+  commentFor(id) {
+    if (id in this.comments && !this.added.has(id)) {
+      return this.comments[id];
+    }
+
+    const object = this.objects[id];
+    if (!object) return null;
+
+    switch (object.isa) {
+      case "PBXBuildFile": {
+        const phaseId = Object.keys(this.objects).find(
+          (candidate) =>
+            Array.isArray(this.objects[candidate].files) &&
+            this.objects[candidate].files.includes(id)
+        );
+        const fileName = this.commentFor(object.fileRef) || object.productRef;
+        return phaseId ? `${fileName} in ${this.commentFor(phaseId)}` : fileName;
+      }
+      case "PBXProject":
+        return "Project object";
+      case "XCConfigurationList": {
+        const ownerId = Object.keys(this.objects).find(
+          (candidate) => this.objects[candidate].buildConfigurationList === id
+        );
+        const owner = this.objects[ownerId];
+        if (!owner) return null;
+        const ownerName = owner.isa === "PBXProject" ? this.projectName() : owner.name;
+        return `Build configuration list for ${owner.isa} "${ownerName}"`;
+      }
+      case "PBXContainerItemProxy":
+      case "PBXTargetDependency":
+        return object.isa;
+      default:
+        if (object.isa in BUILD_PHASE_NAMES) {
+          return object.name || BUILD_PHASE_NAMES[object.isa];
+        }
+        return object.name || object.path || null;
+    }
+  }
+
+  // Project name as Xcode shows it (taken from the project's existing comments)
+  projectName() {
+    const projectListComment = this.comments[this.getProjectObject().buildConfigurationList];
+    const match = projectListComment && projectListComment.match(/PBXProject "(.*)"$/);
+    if (match) return match[1];
+
+    const target = this.objects[this.getTargetIds()[0]];
+    return target ? target.name : "";
+  }
+
+  renderValue(value, depth, annotate, singleLine) {
+    if (Array.isArray(value)) {
+      if (singleLine) {
+        return `(${value.map((item) => `${this.renderValue(item, depth, annotate, true)}, `).join("")})`;
+      }
+      const items = value.map(
+        (item) => `${indent(depth + 1)}${this.renderValue(item, depth + 1, annotate, false)},\n`
+      );
+      return `(\n${items.join("")}${indent(depth)})`;
+    }
+
+    if (value && typeof value === "object") {
+      if (singleLine) {
+        const entries = Object.keys(value).map(
+          (key) => `${quote(key)} = ${this.renderValue(value[key], depth, false, true)}; `
+        );
+        return `{${entries.join("")}}`;
+      }
+      const entries = Object.keys(value).map(
+        (key) =>
+          `${indent(depth + 1)}${quote(key)} = ${this.renderValue(value[key], depth + 1, false, false)};\n`
+      );
+      return `{\n${entries.join("")}${indent(depth)}}`;
+    }
+
+    const text = quote(String(value));
+    if (annotate && value in this.objects) {
+      const comment = this.commentFor(value);
+      if (comment) return `${text} /* ${comment} */`;
+    }
+    return text;
+  }
+
+  renderObject(id) {
+    const object = this.objects[id];
+    const comment = this.commentFor(id);
+    const head = `${indent(2)}${quote(id)}${comment ? ` /* ${comment} */` : ""} = `;
+    const singleLine = SINGLE_LINE_ISAS.includes(object.isa);
+
+    const entries = Object.keys(object).map((key) => {
+      const annotate = !UNANNOTATED_KEYS.includes(key);
+      if (singleLine) {
+        return `${quote(key)} = ${this.renderValue(object[key], 2, annotate, true)}; `;
+      }
+      return `${indent(3)}${quote(key)} = ${this.renderValue(object[key], 3, annotate, false)};\n`;
+    });
+
+    return singleLine
+      ? `${head}{${entries.join("")}};\n`
+      : `${head}{\n${entries.join("")}${indent(2)}};\n`;
+  }
+
+  /**
+   * Serialize the project in Xcode's format
+   * @returns {string} - Content of project.pbxproj
+   */
+  toString() {
+    if (this.dirty.size === 0 && this.added.size === 0 && this.removed.size === 0) {
+      return this.text;
+    }
+
+    // Group objects into sections by isa, keeping the original order and
+    // inserting new objects where Xcode would (sorted by ID)
+    const sections = {};
+    for (const id of Object.keys(this.objects)) {
+      if (this.added.has(id)) continue;
+      const isa = this.objects[id].isa;
+      (sections[isa] = sections[isa] || []).push(id);
+    }
+
+    for (const id of [...this.added].sort()) {
+      const isa = this.objects[id].isa;
+      const section = (sections[isa] = sections[isa] || []);
+      const index = section.findIndex((existing) => existing > id);
+      section.splice(index === -1 ? section.length : index, 0, id);
+    }
+
+    const body = Object.keys(sections)
+      .sort()
+      .map((isa) => {
+        const objects = sections[isa].map((id) =>
+          this.dirty.has(id) || this.added.has(id) || !this.spans[id]
+            ? this.renderObject(id)
+            : this.text.slice(this.spans[id].start, this.spans[id].end)
+        );
+        return `\n/* Begin ${isa} section */\n${objects.join("")}/* End ${isa} section */\n`;
+      })
+      .join("");
+
+    return (
+      this.text.slice(0, this.objectsBody.start) +
+      body +
+      this.text.slice(this.objectsBody.end)
+    );
+  }
+}
+
+module.exports = PbxProject;
@@ -0,0 +1,912 @@
+/**
+ * Property List Module
+ * Reads and writes XML and binary property lists (Info.plist, entitlements, ...)
+ * in pure JavaScript, so the iOS steps no longer depend on /usr/libexec/PlistBuddy.
+ * PlistBuddy is still available as an optional backend for the editor API.
+ */
+
+const fs = require("./vfs");
+const { execFileSync } = require("child_process");
+
+const PLIST_BUDDY = "/usr/libexec/PlistBuddy";
+
+// Header Xcode writes at the top of every XML plist
+const DEFAULT_XML_HEADER = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+`;
+
+// Seconds between the Unix epoch and the Core Data epoch (2001-01-01) used by binary plists
+const CF_EPOCH_OFFSET = 978307200;
+
+/**
+ * A <real> whose value is a whole number. JavaScript numbers cannot tell 1.0 from 1,
+ * so these are wrapped to be written back as <real> instead of <integer>; the source
+ * text is kept so an unchanged file serializes to the same bytes. Fractional reals
+ * stay plain numbers. Compares and prints like the number through valueOf/toString.
+ */
+class PlistReal {
+  /**
+   * @param {number} value - The number
+   * @param {string} text - Text of the XML <real> it was read from, if any
+   */
+  constructor(value, text) {
+    this.value = value;
+    this.text = text;
+  }
+
+  valueOf() {
+    return this.value;
+  }
+
+  toString() {
+    return this.text !== undefined ? this.text : String(this.value);
+  }
+
+  toJSON() {
+    return this.value;
+  }
+}
+
+// Parsed value of a real: whole numbers keep their type through a PlistReal
+function readReal(value, text) {
+  return Number.isInteger(value) ? new PlistReal(value, text) : value;
+}
+
+// Backend used by openPlist when none is passed explicitly ("js" or "plistbuddy")
+let defaultBackend = process.env.PLIST_BACKEND || "js";
+
+// ---------------------------------------------------------------------------
+// XML parsing
+// ---------------------------------------------------------------------------
+
+// Decode the XML entities allowed in plist text nodes
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    switch (entity) {
+      case "amp":
+        return "&";
+      case "lt":
+        return "<";
+      case "gt":
+        return ">";
+      case "quot":
+        return '"';
+      case "apos":
+        return "'";
+      default:
+        return entity[1] === "x"
+          ? String.fromCodePoint(parseInt(entity.slice(2), 16))
+          : String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+  });
+}
+
+// Minimal recursive-descent parser for the plist DTD
+class XmlPlistParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  error(message) {
+    const line = this.text.slice(0, this.pos).split("\n").length;
+    return new Error(`Invalid plist (line ${line}): ${message}`);
+  }
+
+  // Skip whitespace, comments and processing instructions
+  skipMisc() {
+    for (;;) {
+      while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+        this.pos++;
+      }
+
+      if (this.text.startsWith("<!--", this.pos)) {
+        const end = this.text.indexOf("-->", this.pos);
+        if (end === -1) throw this.error("unterminated comment");
+        this.pos = end + 3;
+      } else if (this.text.startsWith("<?", this.pos)) {
+        const end = this.text.indexOf("?>", this.pos);
+        if (end === -1) throw this.error("unterminated processing instruction");
+        this.pos = end + 2;
+      } else if (this.text.startsWith("<!DOCTYPE", this.pos)) {
+        const end = this.text.indexOf(">", this.pos);
+        if (end === -1) throw this.error("unterminated DOCTYPE");
+        this.pos = end + 1;
+      } else {
+        return;
+      }
+    }
+  }
+
+  // Read the next tag and return { name, closing, selfClosing }
+  readTag() {
+    this.skipMisc();
+
+    if (this.text[this.pos] !== "<") {
+      throw this.error("expected a tag");
+    }
+
+    const end = this.text.indexOf(">", this.pos);
+    if (end === -1) throw this.error("unterminated tag");
+
+    const raw = this.text.slice(this.pos + 1, end).trim();
+    this.pos = end + 1;
+
+    const closing = raw.startsWith("/");
+    const selfClosing = raw.endsWith("/");
+    const name = raw.replace(/^\//, "").replace(/\/$/, "").split(/\s+/)[0];
+
+    return { name, closing, selfClosing };
+  }
+
+  // Read character data up to the closing tag of `name`
+  readText(name) {
+    let result = "";
+
+    for (;;) {
+      const next = this.text.indexOf("<", this.pos);
+      if (next === -1) throw this.error(`unterminated <${name}>`);
+
+      result += decodeEntities(this.text.slice(this.pos, next));
+      this.pos = next;
+
+      if (this.text.startsWith("<![CDATA[", this.pos)) {
+        const end = this.text.indexOf("]]>", this.pos);
+        if (end === -1) throw this.error("unterminated CDATA section");
+        result += this.text.slice(this.pos + 9, end);
+        this.pos = end + 3;
+      } else if (this.text.startsWith("<!--", this.pos)) {
+        const end = this.text.indexOf("-->", this.pos);
+        if (end === -1) throw this.error("unterminated comment");
+        this.pos = end + 3;
+      } else {
+        break;
+      }
+    }
+
+    const tag = this.readTag();
+    if (!tag.closing || tag.name !== name) {
+      throw this.error(`expected </${name}> but found <${tag.name}>`);
+    }
+
+    return result;
+  }
+
+  parseDocument() {
+    const open = this.readTag();
+    if (open.name !== "plist" || open.closing) {
+      throw this.error("missing <plist> root element");
+    }
+
+    if (open.selfClosing) {
+      return undefined;
+    }
+
+    const value = this.parseValue();
+    const close = this.readTag();
+    if (close.name !== "plist" || !close.closing) {
+      throw this.error("expected </plist>");
+    }
+
+    return value;
+  }
+
+  parseValue(tag = this.readTag()) {
+    if (tag.closing) {
+      throw this.error(`unexpected </${tag.name}>`);
+    }
+
+    switch (tag.name) {
+      case "dict":
+        return tag.selfClosing ? {} : this.parseDict();
+      case "array":
+        return tag.selfClosing ? [] : this.parseArray();
+      case "string":
+        return tag.selfClosing ? "" : this.readText("string");
+      case "integer": {
+        const text = tag.selfClosing ? "0" : this.readText("integer").trim();
+        const number = Number(text);
+        return Number.isSafeInteger(number) ? number : BigInt(text);
+      }
+      case "real": {
+        const text = tag.selfClosing ? "0" : this.readText("real").trim();
+        return readReal(Number(text), text);
+      }
+      case "true":
+        if (!tag.selfClosing) this.readText("true");
+        return true;
+      case "false":
+        if (!tag.selfClosing) this.readText("false");
+        return false;
+      case "date":
+        return new Date(this.readText("date").trim());
+      case "data":
+        return tag.selfClosing
+          ? Buffer.alloc(0)
+          : Buffer.from(this.readText("data").replace(/\s+/g, ""), "base64");
+      default:
+        throw this.error(`unsupported element <${tag.name}>`);
+    }
+  }
+
+  parseDict() {
+    const result = {};
+
+    for (;;) {
+      const tag = this.readTag();
+
+      if (tag.closing && tag.name === "dict") {
+        return result;
+      }
+
+      if (tag.name !== "key") {
+        throw this.error(`expected <key> inside <dict> but found <${tag.name}>`);
+      }
+
+      const key = tag.selfClosing ? "" : this.readText("key");
+      result[key] = this.parseValue();
+    }
+  }
+
+  parseArray() {
+    const result = [];
+
+    for (;;) {
+      const tag = this.readTag();
+
+      if (tag.closing && tag.name === "array") {
+        return result;
+      }
+
+      result.push(this.parseValue(tag));
+    }
+  }
+}
+
+/**
+ * Parse an XML property list
+ * @param {string} text - XML plist content
+ * @returns {*} - Parsed value (dict → object, array → array, data → Buffer, date → Date,
+ *   whole-number real → PlistReal)
+ */
+function parseXml(text) {
+  return new XmlPlistParser(text).parseDocument();
+}
+
+// ---------------------------------------------------------------------------
+// XML serialization
+// ---------------------------------------------------------------------------
+
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function buildXmlValue(value, depth, indent, lines) {
+  const pad = indent.repeat(depth);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      lines.push(`${pad}<array/>`);
+      return;
+    }
+    lines.push(`${pad}<array>`);
+    for (const item of value) {
+      buildXmlValue(item, depth + 1, indent, lines);
+    }
+    lines.push(`${pad}</array>`);
+  } else if (Buffer.isBuffer(value)) {
+    lines.push(`${pad}<data>`);
+    const encoded = value.toString("base64");
+    for (let i = 0; i < encoded.length; i += 68) {
+      lines.push(`${pad}${encoded.slice(i, i + 68)}`);
+    }
+    lines.push(`${pad}</data>`);
+  } else if (value instanceof Date) {
+    lines.push(`${pad}<date>${value.toISOString().replace(/\.\d{3}Z$/, "Z")}</date>`);
+  } else if (typeof value === "boolean") {
+    lines.push(`${pad}<${value}/>`);
+  } else if (typeof value === "bigint") {
+    lines.push(`${pad}<integer>${value}</integer>`);
+  } else if (value instanceof PlistReal) {
+    lines.push(`${pad}<real>${value}</real>`);
+  } else if (typeof value === "number") {
+    const tag = Number.isInteger(value) ? "integer" : "real";
+    lines.push(`${pad}<${tag}>${value}</${tag}>`);
+  } else if (typeof value === "string") {
+    lines.push(`${pad}<string>${escapeXml(value)}</string>`);
+  } else if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+    if (keys.length === 0) {
+      lines.push(`${pad}<dict/>`);
+      return;
+    }
+    lines.push(`${pad}<dict>`);
+    for (const key of keys) {
+      lines.push(`${pad}${indent}<key>${escapeXml(key)}</key>`);
+      buildXmlValue(value[key], depth + 1, indent, lines);
+    }
+    lines.push(`${pad}</dict>`);
+  } else {
+    throw new Error(`Cannot serialize ${value === null ? "null" : typeof value} to a plist`);
+  }
+}
+
+/**
+ * Serialize a value to an XML property list in the layout Xcode uses
+ * @param {*} value - Value to serialize
+ * @param {Object} format - Formatting options (see detectXmlFormat)
+ * @returns {string} - XML plist content
+ */
+function buildXml(value, format = {}) {
+  const {
+    header = DEFAULT_XML_HEADER,
+    plistTag = '<plist version="1.0">',
+    indent = "\t",
+    trailingNewline = true,
+  } = format;
+
+  const lines = [plistTag];
+  buildXmlValue(value, 0, indent, lines);
+  lines.push("</plist>");
+
+  return header + lines.join("\n") + (trailingNewline ? "\n" : "");
+}
+
+// Capture the formatting of an existing XML plist so it can be written back unchanged
+function detectXmlFormat(text) {
+  const plistStart = text.indexOf("<plist");
+  const plistTagEnd = text.indexOf(">", plistStart);
+  const indentMatch = text.slice(plistTagEnd).match(/\n([ \t]+)</);
+
+  return {
+    binary: false,
+    header: plistStart > 0 ? text.slice(0, plistStart) : "",
+    plistTag: text.slice(plistStart, plistTagEnd + 1),
+    indent: indentMatch ? indentMatch[1] : "\t",
+    trailingNewline: text.endsWith("\n"),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Binary parsing
+// ---------------------------------------------------------------------------
+
+function readUInt(buffer, offset, size) {
+  let result = 0;
+  for (let i = 0; i < size; i++) {
+    result = result * 256 + buffer[offset + i];
+  }
+  return result;
+}
+
+/**
+ * Parse a binary (bplist00) property list
+ * @param {Buffer} buffer - Binary plist content
+ * @returns {*} - Parsed value
+ */
+function parseBinary(buffer) {
+  if (buffer.length < 40 || buffer.toString("ascii", 0, 8) !== "bplist00") {
+    throw new Error("Invalid binary plist: missing bplist00 header");
+  }
+
+  const trailer = buffer.length - 32;
+  const offsetSize = buffer[trailer + 6];
+  const refSize = buffer[trailer + 7];
+  const numObjects = readUInt(buffer, trailer + 8, 8);
+  const topObject = readUInt(buffer, trailer + 16, 8);
+  const offsetTable = readUInt(buffer, trailer + 24, 8);
+
+  const offsets = [];
+  for (let i = 0; i < numObjects; i++) {
+    offsets.push(readUInt(buffer, offsetTable + i * offsetSize, offsetSize));
+  }
+
+  const parsing = new Set();
+
+  // Read the length that follows an object marker, handling the 0xF "int follows" case
+  function readLength(info, offset) {
+    if (info !== 0x0f) {
+      return { length: info, start: offset + 1 };
+    }
+    const intSize = 1 << (buffer[offset + 1] & 0x0f);
+    return {
+      length: readUInt(buffer, offset + 2, intSize),
+      start: offset + 2 + intSize,
+    };
+  }
+
+  function parseObject(ref) {
+    if (parsing.has(ref)) {
+      throw new Error("Invalid binary plist: circular reference");
+    }
+
+    const offset = offsets[ref];
+    const marker = buffer[offset];
+    const type = marker >> 4;
+    const info = marker & 0x0f;
+
+    switch (type) {
+      case 0x0:
+        if (info === 0x8) return false;
+        if (info === 0x9) return true;
+        return null;
+      case 0x1: {
+        const size = 1 << info;
+        if (size === 8) {
+          const value = buffer.readBigInt64BE(offset + 1);
+          return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+            ? Number(value)
+            : value;
+        }
+        if (size === 16) {
+          return buffer.readBigInt64BE(offset + 9);
+        }
+        return readUInt(buffer, offset + 1, size);
+      }
+      case 0x2:
+        return readReal(info === 2 ? buffer.readFloatBE(offset + 1) : buffer.readDoubleBE(offset + 1));
+      case 0x3:
+        return new Date((buffer.readDoubleBE(offset + 1) + CF_EPOCH_OFFSET) * 1000);
+      case 0x4: {
+        const { length, start } = readLength(info, offset);
+        return Buffer.from(buffer.subarray(start, start + length));
+      }
+      case 0x5: {
+        const { length, start } = readLength(info, offset);
+        return buffer.toString("latin1", start, start + length);
+      }
+      case 0x6: {
+        const { length, start } = readLength(info, offset);
+        const chars = Buffer.from(buffer.subarray(start, start + length * 2));
+        chars.swap16();
+        return chars.toString("utf16le");
+      }
+      case 0x8:
+        return { UID: readUInt(buffer, offset + 1, info + 1) };
+      case 0xa: {
+        const { length, start } = readLength(info, offset);
+        parsing.add(ref);
+        const result = [];
+        for (let i = 0; i < length; i++) {
+          result.push(parseObject(readUInt(buffer, start + i * refSize, refSize)));
+        }
+        parsing.delete(ref);
+        return result;
+      }
+      case 0xd: {
+        const { length, start } = readLength(info, offset);
+        parsing.add(ref);
+        const result = {};
+        for (let i = 0; i < length; i++) {
+          const key = parseObject(readUInt(buffer, start + i * refSize, refSize));
+          result[key] = parseObject(
+            readUInt(buffer, start + (length + i) * refSize, refSize)
+          );
+        }
+        parsing.delete(ref);
+        return result;
+      }
+      default:
+        throw new Error(`Invalid binary plist: unsupported object type 0x${marker.toString(16)}`);
+    }
+  }
+
+  return parseObject(topObject);
+}
+
+// ---------------------------------------------------------------------------
+// Binary serialization
+// ---------------------------------------------------------------------------
+
+function sizeForValue(value) {
+  if (value < 0x100) return 1;
+  if (value < 0x10000) return 2;
+  if (value < 0x100000000) return 4;
+  return 8;
+}
+
+function writeUInt(value, size) {
+  const result = Buffer.alloc(size);
+  let remaining = value;
+  for (let i = size - 1; i >= 0; i--) {
+    result[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  return result;
+}
+
+/**
+ * Serialize a value to a binary (bplist00) property list
+ * @param {*} value - Value to serialize
+ * @returns {Buffer} - Binary plist content
+ */
+function buildBinary(value) {
+  // Flatten the object graph; strings are uniqued like CFBinaryPList does
+  const objects = [];
+  const stringRefs = new Map();
+
+  function flatten(item) {
+    if (typeof item === "string") {
+      if (stringRefs.has(item)) return stringRefs.get(item);
+      const ref = objects.length;
+      stringRefs.set(item, ref);
+      objects.push({ value: item });
+      return ref;
+    }
+
+    const ref = objects.length;
+    const entry = { value: item };
+    objects.push(entry);
+
+    if (Array.isArray(item)) {
+      entry.refs = item.map(flatten);
+    } else if (
+      item &&
+      typeof item === "object" &&
+      !Buffer.isBuffer(item) &&
+      !(item instanceof Date) &&
+      !(item instanceof PlistReal)
+    ) {
+      const keys = Object.keys(item).filter((key) => item[key] !== undefined);
+      entry.keyRefs = keys.map(flatten);
+      entry.refs = keys.map((key) => flatten(item[key]));
+    }
+
+    return ref;
+  }
+
+  const top = flatten(value);
+  const refSize = sizeForValue(objects.length);
+
+  function marker(type, length) {
+    if (length < 0x0f) {
+      return Buffer.from([(type << 4) | length]);
+    }
+    const size = sizeForValue(length);
+    return Buffer.concat([
+      Buffer.from([(type << 4) | 0x0f, 0x10 | Math.log2(size)]),
+      writeUInt(length, size),
+    ]);
+  }
+
+  function refs(list) {
+    return Buffer.concat(list.map((ref) => writeUInt(ref, refSize)));
+  }
+
+  function encode({ value: item, refs: itemRefs, keyRefs }) {
+    if (item === null || item === undefined) {
+      return Buffer.from([0x00]);
+    }
+    if (typeof item === "boolean") {
+      return Buffer.from([item ? 0x09 : 0x08]);
+    }
+    if (typeof item === "bigint" || (typeof item === "number" && Number.isInteger(item))) {
+      const big = BigInt(item);
+      if (big >= 0n && big < 0x100000000n) {
+        const size = sizeForValue(Number(big));
+        return Buffer.concat([Buffer.from([0x10 | Math.log2(size)]), writeUInt(Number(big), size)]);
+      }
+      const result = Buffer.alloc(9);
+      result[0] = 0x13;
+      result.writeBigInt64BE(big, 1);
+      return result;
+    }
+    if (typeof item === "number" || item instanceof PlistReal) {
+      const result = Buffer.alloc(9);
+      result[0] = 0x23;
+      result.writeDoubleBE(Number(item), 1);
+      return result;
+    }
+    if (item instanceof Date) {
+      const result = Buffer.alloc(9);
+      result[0] = 0x33;
+      result.writeDoubleBE(item.getTime() / 1000 - CF_EPOCH_OFFSET, 1);
+      return result;
+    }
+    if (Buffer.isBuffer(item)) {
+      return Buffer.concat([marker(0x4, item.length), item]);
+    }
+    if (typeof item === "string") {
+      if (/^[\x00-\x7f]*$/.test(item)) {
+        return Buffer.concat([marker(0x5, item.length), Buffer.from(item, "ascii")]);
+      }
+      const chars = Buffer.from(item, "utf16le");
+      chars.swap16();
+      return Buffer.concat([marker(0x6, chars.length / 2), chars]);
+    }
+    if (Array.isArray(item)) {
+      return Buffer.concat([marker(0xa, itemRefs.length), refs(itemRefs)]);
+    }
+    if (keyRefs && Object.keys(item).length === 1 && typeof item.UID === "number") {
+      const size = sizeForValue(item.UID);
+      return Buffer.concat([Buffer.from([0x80 | (size - 1)]), writeUInt(item.UID, size)]);
+    }
+    return Buffer.concat([marker(0xd, keyRefs.length), refs(keyRefs), refs(itemRefs)]);
+  }
+
+  const chunks = [Buffer.from("bplist00", "ascii")];
+  const offsets = [];
+  let position = 8;
+
+  for (const object of objects) {
+    const encoded = encode(object);
+    offsets.push(position);
+    chunks.push(encoded);
+    position += encoded.length;
+  }
+
+  const offsetTable = position;
+  const offsetSize = sizeForValue(offsetTable);
+  chunks.push(Buffer.concat(offsets.map((offset) => writeUInt(offset, offsetSize))));
+
+  const trailer = Buffer.alloc(32);
+  trailer[6] = offsetSize;
+  trailer[7] = refSize;
+  writeUInt(objects.length, 8).copy(trailer, 8);
+  writeUInt(top, 8).copy(trailer, 16);
+  writeUInt(offsetTable, 8).copy(trailer, 24);
+  chunks.push(trailer);
+
+  return Buffer.concat(chunks);
+}
+
+// ---------------------------------------------------------------------------
+// Files
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse plist content, detecting XML or binary format
+ * @param {Buffer|string} content - File content
+ * @returns {*} - Parsed value
+ */
+function parse(content) {
+  if (Buffer.isBuffer(content)) {
+    if (content.toString("ascii", 0, 8) === "bplist00") {
+      return parseBinary(content);
+    }
+    return parseXml(content.toString("utf8"));
+  }
+  return parseXml(content);
+}
+
+/**
+ * Read a plist file along with the formatting needed to write it back unchanged
+ * @param {string} filePath - Path to the plist file
+ * @returns {{value: *, format: Object}} - Parsed value and detected format
+ */
+function readPlist(filePath) {
+  const content = fs.readFileSync(filePath);
+
+  if (content.toString("ascii", 0, 8) === "bplist00") {
+    return { value: parseBinary(content), format: { binary: true } };
+  }
+
+  const text = content.toString("utf8");
+  return { value: parseXml(text), format: detectXmlFormat(text) };
+}
+
+/**
+ * Write a plist file, keeping the given format (XML layout or binary)
+ * @param {string} filePath - Path to the plist file
+ * @param {*} value - Value to write
+ * @param {Object} format - Format returned by readPlist (defaults to Xcode-style XML)
+ */
+function writePlist(filePath, value, format = {}) {
+  if (format.binary) {
+    fs.writeFileSync(filePath, buildBinary(value));
+  } else {
+    fs.writeFileSync(filePath, buildXml(value, format));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Editors
+// ---------------------------------------------------------------------------
+
+// Split a PlistBuddy-style key path (":CFBundleURLTypes:0:CFBundleURLSchemes")
+function splitKeyPath(keyPath) {
+  if (Array.isArray(keyPath)) return keyPath.map(String);
+  return String(keyPath).replace(/^:/, "").split(":");
+}
+
+// Editor that keeps the plist in memory and writes it back on save()
+function createJsEditor(filePath) {
+  const { value, format } = readPlist(filePath);
+  const original = format.binary ? null : fs.readFileSync(filePath, "utf8");
+  let root = value === undefined ? {} : value;
+
+  function resolveParent(keyPath, create) {
+    const keys = splitKeyPath(keyPath);
+    const last = keys.pop();
+    let node = root;
+
+    for (const key of keys) {
+      if (node[key] === undefined || node[key] === null || typeof node[key] !== "object") {
+        if (!create) return { node: undefined, key: last };
+        node[key] = {};
+      }
+      node = node[key];
+    }
+
+    return { node, key: last };
+  }
+
+  return {
+    backend: "js",
+
+    get(keyPath) {
+      const { node, key } = resolveParent(keyPath, false);
+      return node === undefined ? undefined : node[key];
+    },
+
+    set(keyPath, newValue) {
+      const { node, key } = resolveParent(keyPath, true);
+      if (Array.isArray(node) && Number(key) >= node.length) {
+        node.push(newValue);
+      } else {
+        node[key] = newValue;
+      }
+    },
+
+    delete(keyPath) {
+      const { node, key } = resolveParent(keyPath, false);
+      if (node === undefined || !(key in node)) return false;
+      if (Array.isArray(node)) {
+        node.splice(Number(key), 1);
+      } else {
+        delete node[key];
+      }
+      return true;
+    },
+
+    save() {
+      // Skip the write entirely when nothing changed to keep timestamps and diffs clean
+      if (original !== null && buildXml(root, format) === original) return;
+      writePlist(filePath, root, format);
+    },
+  };
+}
+
+// Map a JavaScript value to the PlistBuddy type keyword
+function plistBuddyType(value) {
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "boolean") return "bool";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "real";
+  if (value instanceof PlistReal) return "real";
+  if (typeof value === "bigint") return "integer";
+  if (value instanceof Date) return "date";
+  if (Buffer.isBuffer(value)) return "data";
+  if (value && typeof value === "object") return "dict";
+  return "string";
+}
+
+// Editor that applies every change immediately through /usr/libexec/PlistBuddy (macOS only)
+function createPlistBuddyEditor(filePath) {
+  // PlistBuddy writes the file itself, so snapshot it for rollback first
+  fs.track(filePath);
+
+  function run(command) {
+    return execFileSync(PLIST_BUDDY, ["-c", command, filePath], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+  }
+
+  function keyPathString(keyPath) {
+    return ":" + splitKeyPath(keyPath).join(":");
+  }
+
+  function add(keyPath, value) {
+    const type = plistBuddyType(value);
+
+    if (type === "array") {
+      run(`Add ${keyPath} array`);
+      value.forEach((item, index) => add(`${keyPath}:${index}`, item));
+    } else if (type === "dict") {
+      run(`Add ${keyPath} dict`);
+      for (const [key, item] of Object.entries(value)) {
+        if (item !== undefined) add(`${keyPath}:${key}`, item);
+      }
+    } else if (type === "data") {
+      run(`Add ${keyPath} data ${value.toString("latin1")}`);
+    } else if (type === "date") {
+      run(`Add ${keyPath} date ${value.toUTCString()}`);
+    } else {
+      run(`Add ${keyPath} ${type} ${value}`);
+    }
+  }
+
+  return {
+    backend: "plistbuddy",
+
+    get(keyPath) {
+      try {
+        const output = execFileSync(
+          PLIST_BUDDY,
+          ["-x", "-c", `Print ${keyPathString(keyPath)}`, filePath],
+          { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }
+        );
+        return parseXml(output);
+      } catch (error) {
+        return undefined;
+      }
+    },
+
+    set(keyPath, value) {
+      const path = keyPathString(keyPath);
+      const type = plistBuddyType(value);
+
+      // Scalars can be set in place; containers are rebuilt from scratch
+      if (type !== "array" && type !== "dict" && type !== "data" && type !== "date") {
+        try {
+          run(`Set ${path} ${value}`);
+          return;
+        } catch (error) {
+          // Key does not exist yet, fall through to Add
+        }
+      }
+
+      this.delete(keyPath);
+      add(path, value);
+    },
+
+    delete(keyPath) {
+      try {
+        run(`Delete ${keyPathString(keyPath)}`);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    save() {
+      // PlistBuddy writes every command straight to disk
+    },
+  };
+}
+
+/**
+ * Open a plist file for editing
+ * @param {string} filePath - Path to the plist file
+ * @param {Object} options - Editor options
+ * @param {string} options.backend - "js" (default) or "plistbuddy"
+ * @returns {Object} - Editor with get(keyPath), set(keyPath, value), delete(keyPath) and save()
+ */
+function openPlist(filePath, options = {}) {
+  // PlistBuddy writes straight to disk, so dry runs always use the in-memory editor
+  const backend = fs.isDryRun() ? "js" : options.backend || defaultBackend;
+
+  if (backend === "plistbuddy") {
+    return createPlistBuddyEditor(filePath);
+  }
+
+  if (backend !== "js") {
+    throw new Error(`Unknown plist backend: ${backend} (expected "js" or "plistbuddy")`);
+  }
+
+  return createJsEditor(filePath);
+}
+
+/**
+ * Choose the backend used by openPlist when none is passed explicitly
+ * @param {string} backend - "js" or "plistbuddy"
+ */
+function setDefaultBackend(backend) {
+  if (backend !== "js" && backend !== "plistbuddy") {
+    throw new Error(`Unknown plist backend: ${backend} (expected "js" or "plistbuddy")`);
+  }
+  defaultBackend = backend;
+}
+
+module.exports = {
+  PlistReal,
+  parse,
+  parseXml,
+  parseBinary,
+  buildXml,
+  buildBinary,
+  readPlist,
+  writePlist,
+  openPlist,
+  setDefaultBackend,
+};
@@ -0,0 +1,461 @@
+/**
+ * PNG Module
+ * Dependency-free PNG decoding, encoding and high-quality resampling, used to generate
+ * icons when ImageMagick is not installed.
+ *
+ * Images are plain objects { width, height, data } where data is a Uint8Array of
+ * non-premultiplied RGBA pixels, row by row.
+ */
+
+const zlib = require("zlib");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per color type: gray, -, RGB, palette, gray + alpha, -, RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 interlacing passes
+const ADAM7 = [
+  { x: 0, y: 0, dx: 8, dy: 8 },
+  { x: 4, y: 0, dx: 8, dy: 8 },
+  { x: 0, y: 4, dx: 4, dy: 8 },
+  { x: 2, y: 0, dx: 4, dy: 4 },
+  { x: 0, y: 2, dx: 2, dy: 4 },
+  { x: 1, y: 0, dx: 2, dy: 2 },
+  { x: 0, y: 1, dx: 1, dy: 2 },
+];
+
+// Lanczos window size (lobes on each side)
+const LANCZOS_LOBES = 3;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function isPng(buffer) {
+  return buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Read the size of a PNG from its header without decoding it
+ * @param {Buffer} buffer - PNG file content
+ * @returns {{width: number, height: number}|null} - null when the buffer is not a PNG
+ */
+function readPngSize(buffer) {
+  if (!isPng(buffer) || buffer.toString("latin1", 12, 16) !== "IHDR") {
+    return null;
+  }
+
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Undo the per-row filters of one (sub)image in place; returns the unfiltered rows
+function unfilter(data, offset, width, height, bitsPerPixel) {
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const rows = [];
+  let previous = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[offset];
+    const row = Uint8Array.from(data.subarray(offset + 1, offset + 1 + stride));
+    offset += stride + 1;
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const up = previous[i];
+      const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+      switch (filter) {
+        case 0:
+          break;
+        case 1:
+          row[i] = (row[i] + left) & 0xff;
+          break;
+        case 2:
+          row[i] = (row[i] + up) & 0xff;
+          break;
+        case 3:
+          row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+          break;
+        case 4:
+          row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff;
+          break;
+        default:
+          throw new Error(`Invalid PNG filter type ${filter}`);
+      }
+    }
+
+    rows.push(row);
+    previous = row;
+  }
+
+  return { rows, offset };
+}
+
+// Read the raw sample at index from an unfiltered row
+function readSample(row, index, bitDepth) {
+  if (bitDepth === 8) return row[index];
+  if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+
+  const bitOffset = index * bitDepth;
+  const shift = 8 - bitDepth - (bitOffset & 7);
+  return (row[bitOffset >> 3] >> shift) & ((1 << bitDepth) - 1);
+}
+
+/**
+ * Decode a PNG file
+ * @param {Buffer} buffer - PNG file content
+ * @returns {{width: number, height: number, data: Uint8Array}} - RGBA image
+ */
+function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error("Not a PNG file");
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header || !(header.colorType in CHANNELS)) {
+    throw new Error("Unsupported or corrupt PNG header");
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const maxValue = (1 << bitDepth) - 1;
+  const data = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = new Uint8Array(width * height * 4);
+
+  // Scale a raw sample to 0-255
+  const scale = (value) =>
+    bitDepth === 8 ? value : bitDepth === 16 ? Math.round(value / 257) : Math.round((value * 255) / maxValue);
+
+  // Color key from tRNS for gray and RGB images
+  const key =
+    transparency && (colorType === 0 || colorType === 2)
+      ? Array.from({ length: transparency.length / 2 }, (_, i) => transparency.readUInt16BE(i * 2))
+      : null;
+
+  function writePixel(row, index, x, y) {
+    const out = (y * width + x) * 4;
+    const base = index * channels;
+
+    if (colorType === 3) {
+      const entry = readSample(row, index, bitDepth);
+      pixels[out] = palette[entry * 3];
+      pixels[out + 1] = palette[entry * 3 + 1];
+      pixels[out + 2] = palette[entry * 3 + 2];
+      pixels[out + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+      return;
+    }
+
+    const samples = [];
+    for (let c = 0; c < channels; c++) {
+      samples.push(readSample(row, base + c, bitDepth));
+    }
+
+    const isKey = key && samples.every((value, c) => value === key[c]);
+
+    if (colorType === 0 || colorType === 4) {
+      const gray = scale(samples[0]);
+      pixels[out] = pixels[out + 1] = pixels[out + 2] = gray;
+      pixels[out + 3] = colorType === 4 ? scale(samples[1]) : isKey ? 0 : 255;
+    } else {
+      pixels[out] = scale(samples[0]);
+      pixels[out + 1] = scale(samples[1]);
+      pixels[out + 2] = scale(samples[2]);
+      pixels[out + 3] = colorType === 6 ? scale(samples[3]) : isKey ? 0 : 255;
+    }
+  }
+
+  if (header.interlace) {
+    let dataOffset = 0;
+    for (const pass of ADAM7) {
+      const passWidth = Math.ceil((width - pass.x) / pass.dx);
+      const passHeight = Math.ceil((height - pass.y) / pass.dy);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+
+      const result = unfilter(data, dataOffset, passWidth, passHeight, bitsPerPixel);
+      dataOffset = result.offset;
+
+      result.rows.forEach((row, py) => {
+        for (let px = 0; px < passWidth; px++) {
+          writePixel(row, px, pass.x + px * pass.dx, pass.y + py * pass.dy);
+        }
+      });
+    }
+  } else {
+    const { rows } = unfilter(data, 0, width, height, bitsPerPixel);
+    rows.forEach((row, y) => {
+      for (let x = 0; x < width; x++) {
+        writePixel(row, x, x, y);
+      }
+    });
+  }
+
+  return { width, height, data: pixels };
+}
+
+function chunk(type, content) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), content]);
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  length.writeUInt32BE(content.length);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an image as PNG (RGB when fully opaque, RGBA otherwise)
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA image
+ * @returns {Buffer} - PNG file content
+ */
+function encodePng(image) {
+  const { width, height, data } = image;
+
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+
+  const channels = opaque ? 3 : 4;
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  const candidates = Array.from({ length: 5 }, () => new Uint8Array(stride));
+  let previous = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = new Uint8Array(stride);
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < channels; c++) {
+        row[x * channels + c] = data[(y * width + x) * 4 + c];
+      }
+    }
+
+    // Pick the filter with the smallest sum of absolute differences
+    let best = 0;
+    let bestScore = Infinity;
+    for (let filter = 0; filter < 5; filter++) {
+      const out = candidates[filter];
+      let score = 0;
+
+      for (let i = 0; i < stride; i++) {
+        const left = i >= channels ? row[i - channels] : 0;
+        const up = previous[i];
+        const upLeft = i >= channels ? previous[i - channels] : 0;
+        const predictor =
+          filter === 0 ? 0 :
+          filter === 1 ? left :
+          filter === 2 ? up :
+          filter === 3 ? (left + up) >> 1 :
+          paeth(left, up, upLeft);
+
+        out[i] = (row[i] - predictor) & 0xff;
+        score += out[i] < 128 ? out[i] : 256 - out[i];
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        best = filter;
+      }
+    }
+
+    raw[y * (stride + 1)] = best;
+    raw.set(candidates[best], y * (stride + 1) + 1);
+    previous = row;
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = opaque ? 2 : 6;
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function lanczos(x) {
+  if (x === 0) return 1;
+  if (x <= -LANCZOS_LOBES || x >= LANCZOS_LOBES) return 0;
+  const px = Math.PI * x;
+  return (LANCZOS_LOBES * Math.sin(px) * Math.sin(px / LANCZOS_LOBES)) / (px * px);
+}
+
+// Normalized filter weights of every output pixel along one axis
+function contributions(inSize, outSize) {
+  const scale = outSize / inSize;
+  const filterScale = Math.min(scale, 1);
+  const support = LANCZOS_LOBES / filterScale;
+  const result = [];
+
+  for (let i = 0; i < outSize; i++) {
+    const center = (i + 0.5) / scale;
+    const start = Math.max(0, Math.floor(center - support));
+    const end = Math.min(inSize, Math.ceil(center + support));
+    const weights = new Float32Array(end - start);
+    let total = 0;
+
+    for (let j = start; j < end; j++) {
+      const weight = lanczos((j + 0.5 - center) * filterScale);
+      weights[j - start] = weight;
+      total += weight;
+    }
+
+    for (let k = 0; k < weights.length; k++) {
+      weights[k] /= total;
+    }
+
+    result.push({ start, weights });
+  }
+
+  return result;
+}
+
+/**
+ * Resize an image with a Lanczos3 filter. Colors are weighted by alpha, so
+ * transparent pixels do not bleed dark fringes into the edges.
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA image
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {{width: number, height: number, data: Uint8Array}} - Resized RGBA image
+ */
+function resample(image, width, height) {
+  const { width: inWidth, height: inHeight, data } = image;
+
+  // Premultiplied float copy of the source
+  const source = new Float32Array(inWidth * inHeight * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    source[i] = data[i] * alpha;
+    source[i + 1] = data[i + 1] * alpha;
+    source[i + 2] = data[i + 2] * alpha;
+    source[i + 3] = data[i + 3];
+  }
+
+  // Horizontal pass
+  const columns = contributions(inWidth, width);
+  const horizontal = new Float32Array(width * inHeight * 4);
+  for (let y = 0; y < inHeight; y++) {
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = columns[x];
+      let r = 0, g = 0, b = 0, a = 0;
+      let index = (y * inWidth + start) * 4;
+
+      for (let k = 0; k < weights.length; k++, index += 4) {
+        const weight = weights[k];
+        r += source[index] * weight;
+        g += source[index + 1] * weight;
+        b += source[index + 2] * weight;
+        a += source[index + 3] * weight;
+      }
+
+      const out = (y * width + x) * 4;
+      horizontal[out] = r;
+      horizontal[out + 1] = g;
+      horizontal[out + 2] = b;
+      horizontal[out + 3] = a;
+    }
+  }
+
+  // Vertical pass, then back to non-premultiplied bytes
+  const rows = contributions(inHeight, height);
+  const output = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = rows[y];
+
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      let index = (start * width + x) * 4;
+
+      for (let k = 0; k < weights.length; k++, index += width * 4) {
+        const weight = weights[k];
+        r += horizontal[index] * weight;
+        g += horizontal[index + 1] * weight;
+        b += horizontal[index + 2] * weight;
+        a += horizontal[index + 3] * weight;
+      }
+
+      const out = (y * width + x) * 4;
+      // Unpremultiply with the unclamped alpha, so filter overshoot does not shift colors
+      output[out + 3] = Math.round(Math.min(255, Math.max(0, a)));
+
+      if (a > 0) {
+        const factor = 255 / a;
+        output[out] = Math.round(Math.min(255, Math.max(0, r * factor)));
+        output[out + 1] = Math.round(Math.min(255, Math.max(0, g * factor)));
+        output[out + 2] = Math.round(Math.min(255, Math.max(0, b * factor)));
+      }
+    }
+  }
+
+  return { width, height, data: output };
+}
+
+module.exports = {
+  readPngSize,
+  decodePng,
+  encodePng,
+  resample,
+};
@@ -0,0 +1,123 @@
+/**
+ * Semantic Version Module
+ * Parses, formats and bumps semantic versions (https://semver.org) such as
+ * "1.2.3", "2.0.0-beta.1" or "1.0.0+42". Bumps follow the rules of npm version.
+ */
+
+// Release types accepted by bump
+const RELEASE_TYPES = ["major", "minor", "patch", "prerelease"];
+
+// MAJOR.MINOR.PATCH, optional -prerelease and +build metadata
+const SEMVER_PATTERN =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+/**
+ * Parse a semantic version
+ * @param {string} version - Version such as "1.2.3-beta.1"
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array<string|number>, build: string[]}|null}
+ *   - The version parts, or null when the version is not valid semver
+ */
+function parse(version) {
+  const match = typeof version === "string" ? version.match(SEMVER_PATTERN) : null;
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4]
+      ? match[4].split(".").map((part) => (/^\d+$/.test(part) ? Number(part) : part))
+      : [],
+    build: match[5] ? match[5].split(".") : [],
+  };
+}
+
+/**
+ * Format parsed version parts back into a version string
+ * @param {Object} version - Parts as returned by parse
+ * @returns {string} - Version string
+ */
+function format(version) {
+  let result = `${version.major}.${version.minor}.${version.patch}`;
+  if (version.prerelease.length > 0) {
+    result += `-${version.prerelease.join(".")}`;
+  }
+  if (version.build.length > 0) {
+    result += `+${version.build.join(".")}`;
+  }
+  return result;
+}
+
+// Next prerelease: 1.2.3 -> 1.2.4-0, 1.2.4-0 -> 1.2.4-1, 1.2.4-beta -> 1.2.4-beta.0
+function bumpPrerelease(version) {
+  if (version.prerelease.length === 0) {
+    return { ...version, patch: version.patch + 1, prerelease: [0] };
+  }
+
+  const prerelease = [...version.prerelease];
+  const last = prerelease.length - 1;
+  if (typeof prerelease[last] === "number") {
+    prerelease[last]++;
+  } else {
+    prerelease.push(0);
+  }
+  return { ...version, prerelease };
+}
+
+/**
+ * Bump a version; build metadata is dropped
+ * A prerelease of the target version is released rather than skipped:
+ * 2.0.0-rc.1 bumped as major gives 2.0.0, 1.2.4-0 bumped as patch gives 1.2.4.
+ * @param {string} version - Current version
+ * @param {string} releaseType - "major", "minor", "patch" or "prerelease"
+ * @returns {string} - Bumped version
+ */
+function bump(version, releaseType) {
+  if (!RELEASE_TYPES.includes(releaseType)) {
+    throw new Error(`Unknown release type "${releaseType}" (expected ${RELEASE_TYPES.join(", ")})`);
+  }
+
+  const parsed = parse(version);
+  if (!parsed) {
+    throw new Error(`"${version}" is not a valid semantic version such as "1.2.3"`);
+  }
+
+  const { major, minor, patch } = parsed;
+  const isPrerelease = parsed.prerelease.length > 0;
+  const base = { major, minor, patch, prerelease: [], build: [] };
+
+  switch (releaseType) {
+    case "major":
+      return format(
+        isPrerelease && minor === 0 && patch === 0 ? base : { ...base, major: major + 1, minor: 0, patch: 0 }
+      );
+    case "minor":
+      return format(isPrerelease && patch === 0 ? base : { ...base, minor: minor + 1, patch: 0 });
+    case "patch":
+      return format(isPrerelease ? base : { ...base, patch: patch + 1 });
+    default:
+      return format(bumpPrerelease({ ...parsed, build: [] }));
+  }
+}
+
+/**
+ * Version as iOS accepts it in CFBundleShortVersionString: up to three integers,
+ * so prerelease and build metadata are dropped (1.2.4-beta.1 gives 1.2.4)
+ * @param {string} version - Semantic version
+ * @returns {string} - MAJOR.MINOR.PATCH, or the version unchanged when it is not semver
+ */
+function toBundleShortVersion(version) {
+  const parsed = parse(version);
+  return parsed ? `${parsed.major}.${parsed.minor}.${parsed.patch}` : version;
+}
+
+module.exports = {
+  RELEASE_TYPES,
+  SEMVER_PATTERN,
+  parse,
+  format,
+  bump,
+  toBundleShortVersion,
+};
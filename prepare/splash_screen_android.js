@@ -0,0 +1,159 @@
+/**
+ * Android Splash Screen Setup Module
+ * Configures the Android 12+ splash screen of the app theme: the splash background
+ * color (with a night variant) and the logo as the splash icon at every density.
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const images = require("./images");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_ANDROID_RES_PATH = "android/app/src/main/res";
+const APP_THEME_NAME = "AppTheme";
+const BACKGROUND_COLOR_NAME = "splash_background";
+const ICON_DRAWABLE_NAME = "splash_icon";
+const TOOLS_NAMESPACE = "http://schemas.android.com/tools";
+
+// The splash icon is 288dp, of which the system shows the center 192dp circle.
+// The logo is sized to the square that fits in that circle.
+const DENSITIES = [
+  { name: "mdpi", size: 288 },
+  { name: "hdpi", size: 432 },
+  { name: "xhdpi", size: 576 },
+  { name: "xxhdpi", size: 864 },
+  { name: "xxxhdpi", size: 1152 },
+];
+const LOGO_SCALE = 136 / 288;
+
+// Set a <color> resource in a colors.xml file, creating the file when missing
+function setColorResource(colorsPath, name, value) {
+  const element = `<color name="${name}">${value}</color>`;
+  let content = fs.existsSync(colorsPath)
+    ? fs.readFileSync(colorsPath, "utf8")
+    : '<?xml version="1.0" encoding="utf-8"?>\n<resources>\n</resources>\n';
+
+  const existing = new RegExp(`<color name="${name}">.*?</color>`);
+  if (existing.test(content)) {
+    content = content.replace(existing, element);
+  } else {
+    content = content.replace(/(\n?)([ \t]*)<\/resources>/, `$1    ${element}\n$2</resources>`);
+  }
+
+  fs.mkdirSync(path.dirname(colorsPath), { recursive: true });
+  fs.writeFileSync(colorsPath, content);
+}
+
+// Set the splash screen items of the app theme in styles.xml
+function updateAppTheme(stylesPath, hasIcon) {
+  let content = fs.readFileSync(stylesPath, "utf8");
+
+  const stylePattern = new RegExp(`(<style name="${APP_THEME_NAME}"[^>]*>)([\\s\\S]*?)([ \\t]*)</style>`);
+  const match = content.match(stylePattern);
+  if (!match) {
+    log(`Warning: Could not find the ${APP_THEME_NAME} style in ${stylesPath}`, colors.yellow);
+    return false;
+  }
+
+  // Drop the items of a previous run so the theme can be updated in place
+  const body = match[2].replace(
+    /\n[ \t]*<item name="android:windowSplashScreen(?:Background|AnimatedIcon)"[^>]*>.*?<\/item>/g,
+    ""
+  );
+  const indent = (body.match(/\n([ \t]+)<item/) || [null, `${match[3]}    `])[1];
+
+  // The attributes only exist on Android 12 (API 31), older versions ignore them
+  const items = [
+    `<item name="android:windowSplashScreenBackground" tools:targetApi="31">@color/${BACKGROUND_COLOR_NAME}</item>`,
+  ];
+  if (hasIcon) {
+    items.push(
+      `<item name="android:windowSplashScreenAnimatedIcon" tools:targetApi="31">@drawable/${ICON_DRAWABLE_NAME}</item>`
+    );
+  }
+
+  const updatedBody = body.replace(/\s*$/, "") + items.map((item) => `\n${indent}${item}`).join("") + "\n";
+  content = content.replace(stylePattern, `$1${updatedBody}$3</style>`);
+
+  if (!content.includes(`xmlns:tools="${TOOLS_NAMESPACE}"`)) {
+    content = content.replace(/<resources\b/, `<resources xmlns:tools="${TOOLS_NAMESPACE}"`);
+  }
+
+  fs.writeFileSync(stylesPath, content);
+  return true;
+}
+
+/**
+ * Configure the Android 12+ splash screen
+ * @param {Object} options - Configuration options
+ * @param {string} options.logo - Logo PNG shown in the center (optional)
+ * @param {string} options.backgroundColor - Splash background color (hex)
+ * @param {string} options.darkBackgroundColor - Splash background color in night mode (hex, optional)
+ * @param {string} options.androidResPath - Path to Android res directory (default: android/app/src/main/res)
+ * @returns {boolean} - Success or failure
+ */
+function setupSplashScreenAndroid(options) {
+  const {
+    logo,
+    backgroundColor,
+    darkBackgroundColor = backgroundColor,
+    androidResPath = DEFAULT_ANDROID_RES_PATH,
+  } = options;
+
+  log("Configuring Android splash screen...", colors.blue);
+
+  const stylesPath = path.join(androidResPath, "values", "styles.xml");
+  if (!fs.existsSync(stylesPath)) {
+    log(`Error: ${stylesPath} not found!`, colors.red);
+    return false;
+  }
+
+  // Background color, with a night variant
+  setColorResource(path.join(androidResPath, "values", "colors.xml"), BACKGROUND_COLOR_NAME, backgroundColor);
+  setColorResource(
+    path.join(androidResPath, "values-night", "colors.xml"),
+    BACKGROUND_COLOR_NAME,
+    darkBackgroundColor
+  );
+
+  // Splash icon for every density
+  if (logo) {
+    for (const density of DENSITIES) {
+      const drawableDir = path.join(androidResPath, `drawable-${density.name}`);
+      fs.mkdirSync(drawableDir, { recursive: true });
+
+      images.placeOnCanvas(
+        logo,
+        path.join(drawableDir, `${ICON_DRAWABLE_NAME}.png`),
+        density.size,
+        LOGO_SCALE
+      );
+    }
+    log("Created splash icons", colors.blue);
+  } else {
+    log("No logo_icon provided, the splash screen shows the app icon", colors.yellow);
+  }
+
+  if (!updateAppTheme(stylesPath, Boolean(logo))) {
+    return false;
+  }
+
+  log("Android splash screen configured successfully", colors.green);
+  return true;
+}
+
+module.exports = setupSplashScreenAndroid;
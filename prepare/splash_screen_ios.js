@@ -0,0 +1,178 @@
+/**
+ * iOS Splash Screen Setup Module
+ * Generates LaunchScreen.storyboard with the ic_logo image centered on the splash
+ * background color, and makes sure the app uses it as its launch screen
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const plist = require("./plist");
+const PbxProject = require("./pbxproj");
+const { findAssetCatalog, parseHexColor, writeColorSet } = require("./asset_catalog");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const LAUNCH_SCREEN_NAME = "LaunchScreen";
+const BACKGROUND_COLOR_NAME = "SplashBackground";
+const LOGO_IMAGE_NAME = "ic_logo";
+
+// Storyboard color element for a hex color (the named color's light value)
+function storyboardColor(color) {
+  const { red, green, blue, alpha } = parseHexColor(color);
+  const component = (value) => String(Number((value / 255).toFixed(6)));
+
+  return `<color red="${component(red)}" green="${component(green)}" blue="${component(blue)}" alpha="${component(alpha)}" colorSpace="custom" customColorSpace="sRGB"/>`;
+}
+
+// LaunchScreen.storyboard: background color view with an optional centered logo
+function launchScreenStoryboard(backgroundColor, logoSize) {
+  const logoView = logoSize
+    ? `
+                        <subviews>
+                            <imageView clipsSubviews="YES" userInteractionEnabled="NO" contentMode="scaleAspectFit" horizontalHuggingPriority="251" verticalHuggingPriority="251" image="${LOGO_IMAGE_NAME}" translatesAutoresizingMaskIntoConstraints="NO" id="Lgo-Im-VwA">
+                                <rect key="frame" x="${(393 - logoSize) / 2}" y="${(852 - logoSize) / 2}" width="${logoSize}" height="${logoSize}"/>
+                            </imageView>
+                        </subviews>`
+    : "";
+  const logoConstraints = logoSize
+    ? `
+                        <constraints>
+                            <constraint firstItem="Lgo-Im-VwA" firstAttribute="centerX" secondItem="Ze5-6b-2t3" secondAttribute="centerX" id="Lgo-cX-Cns"/>
+                            <constraint firstItem="Lgo-Im-VwA" firstAttribute="centerY" secondItem="Ze5-6b-2t3" secondAttribute="centerY" id="Lgo-cY-Cns"/>
+                        </constraints>`
+    : "";
+  const logoResource = logoSize
+    ? `
+        <image name="${LOGO_IMAGE_NAME}" width="${logoSize}" height="${logoSize}"/>`
+    : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<document type="com.apple.InterfaceBuilder3.CocoaTouch.Storyboard.XIB" version="3.0" toolsVersion="21701" targetRuntime="iOS.CocoaTouch" propertyAccessControl="none" useAutolayout="YES" launchScreen="YES" useTraitCollections="YES" useSafeAreas="YES" colorMatched="YES" initialViewController="01J-lp-oVM">
+    <device id="retina6_12" orientation="portrait" appearance="light"/>
+    <dependencies>
+        <plugIn identifier="com.apple.InterfaceBuilder.IBCocoaTouchPlugin" version="21679"/>
+        <capability name="Named colors" minToolsVersion="9.0"/>
+        <capability name="Safe area layout guides" minToolsVersion="9.0"/>
+        <capability name="documents saved in the Xcode 8 format" minToolsVersion="8.0"/>
+    </dependencies>
+    <scenes>
+        <!--View Controller-->
+        <scene sceneID="EHf-IW-A2E">
+            <objects>
+                <viewController id="01J-lp-oVM" sceneMemberID="viewController">
+                    <view key="view" contentMode="scaleToFill" id="Ze5-6b-2t3">
+                        <rect key="frame" x="0.0" y="0.0" width="393" height="852"/>
+                        <autoresizingMask key="autoresizingMask" widthSizable="YES" heightSizable="YES"/>${logoView}
+                        <viewLayoutGuide key="safeArea" id="Bcu-3y-fUS"/>
+                        <color key="backgroundColor" name="${BACKGROUND_COLOR_NAME}"/>${logoConstraints}
+                    </view>
+                </viewController>
+                <placeholder placeholderIdentifier="IBFirstResponder" id="iYj-Kq-Ea1" userLabel="First Responder" sceneMemberID="firstResponder"/>
+            </objects>
+            <point key="canvasLocation" x="52.173913043478265" y="375"/>
+        </scene>
+    </scenes>
+    <resources>${logoResource}
+        <namedColor name="${BACKGROUND_COLOR_NAME}">
+            ${storyboardColor(backgroundColor)}
+        </namedColor>
+    </resources>
+</document>
+`;
+}
+
+// Make sure the storyboard is part of the app target's bundle resources
+function ensureXcodeProjectReference(iosProjectName, storyboardPath) {
+  const pbxprojPath = `ios/${iosProjectName}.xcodeproj/project.pbxproj`;
+
+  if (!fs.existsSync(pbxprojPath)) {
+    log(`Warning: ${pbxprojPath} not found, cannot check the launch screen reference`, colors.yellow);
+    return;
+  }
+
+  const project = PbxProject.read(pbxprojPath);
+  const targetId = project.findTargetId(iosProjectName);
+
+  if (!targetId) {
+    log(`Warning: Could not find the ${iosProjectName} target in project.pbxproj`, colors.yellow);
+    return;
+  }
+
+  let fileRefId = project.findFileReferenceId(path.basename(storyboardPath));
+  if (!fileRefId) {
+    fileRefId = project.addFileReference(path.relative("ios", storyboardPath), {
+      sourceTree: "SOURCE_ROOT",
+    });
+
+    const mainGroupId = project.getMainGroupId();
+    project.addToGroup(project.findGroupId(iosProjectName, mainGroupId) || mainGroupId, fileRefId);
+  }
+
+  project.addToBuildPhase(targetId, "PBXResourcesBuildPhase", fileRefId);
+
+  if (project.write(pbxprojPath)) {
+    log(`Added ${path.basename(storyboardPath)} to the Xcode project`, colors.green);
+  }
+}
+
+/**
+ * Generate the iOS launch screen
+ * @param {Object} options - Configuration options
+ * @param {string} options.iosProjectName - iOS project name
+ * @param {string} options.backgroundColor - Splash background color (hex)
+ * @param {string} options.darkBackgroundColor - Splash background color in dark mode (hex, optional)
+ * @returns {boolean} - Success or failure
+ */
+function setupSplashScreenIos(options) {
+  const { iosProjectName, backgroundColor, darkBackgroundColor } = options;
+
+  log("Generating iOS launch screen...", colors.blue);
+
+  const projectDir = `ios/${iosProjectName}`;
+  if (!fs.existsSync(projectDir)) {
+    log(`Error: ${projectDir} not found!`, colors.red);
+    return false;
+  }
+
+  // Background color with its dark mode variant
+  const catalog = findAssetCatalog(iosProjectName);
+  writeColorSet(catalog, BACKGROUND_COLOR_NAME, backgroundColor, darkBackgroundColor);
+
+  // Center the logo generated by app_icons.js, at its 1x point size
+  const logoPath = path.join(catalog, `${LOGO_IMAGE_NAME}.imageset`);
+  const logoSize = fs.existsSync(logoPath) ? 64 : null;
+  if (!logoSize) {
+    log("No ic_logo image set found, the launch screen shows the background color only", colors.yellow);
+  }
+
+  const storyboardPath = path.join(projectDir, `${LAUNCH_SCREEN_NAME}.storyboard`);
+  fs.writeFileSync(storyboardPath, launchScreenStoryboard(backgroundColor, logoSize));
+  log(`Launch screen written to ${storyboardPath}`, colors.green);
+
+  // Use it as the launch screen
+  const infoPlistPath = path.join(projectDir, "Info.plist");
+  if (fs.existsSync(infoPlistPath)) {
+    const infoPlist = plist.openPlist(infoPlistPath);
+    infoPlist.set("UILaunchStoryboardName", LAUNCH_SCREEN_NAME);
+    infoPlist.save();
+  }
+
+  ensureXcodeProjectReference(iosProjectName, storyboardPath);
+
+  return true;
+}
+
+module.exports = setupSplashScreenIos;
@@ -0,0 +1,178 @@
+/**
+ * Unified Diff Module
+ * Produces "diff -u" style output for two versions of a text file (Myers algorithm)
+ */
+
+const NO_NEWLINE_MARKER = "\n\\ No newline at end of file";
+
+// Split text into lines; a last line without newline carries the "\ No newline" marker,
+// so it compares unequal to the same line with a newline and prints the marker in hunks
+function splitLines(text) {
+  if (text === "") {
+    return [];
+  }
+
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] += NO_NEWLINE_MARKER;
+  }
+
+  return lines;
+}
+
+// Shortest edit script between two line arrays as a list of [op, line] pairs
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+  const n = oldLines.length;
+  const m = newLines.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  // Forward pass, keeping the furthest-reaching x of every diagonal per step
+  let finalD = 0;
+  search: for (let d = 0; d <= n + m; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        finalD = d;
+        break search;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const middle = [];
+  let x = n;
+  let y = m;
+
+  for (let d = finalD; d > 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      middle.push([" ", oldLines[--x]]);
+      y--;
+    }
+
+    if (x === prevX) {
+      middle.push(["+", newLines[--y]]);
+    } else {
+      middle.push(["-", oldLines[--x]]);
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    middle.push([" ", oldLines[--x]]);
+    y--;
+  }
+
+  return [
+    ...a.slice(0, prefix).map((line) => [" ", line]),
+    ...middle.reverse(),
+    ...a.slice(a.length - suffix).map((line) => [" ", line]),
+  ];
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original content ("" for a new file)
+ * @param {string} newText - Updated content ("" for a deleted file)
+ * @param {Object} options - Diff options
+ * @param {string} options.oldPath - Label for the original file
+ * @param {string} options.newPath - Label for the updated file
+ * @param {number} options.context - Number of unchanged lines around each change (default: 3)
+ * @returns {string} - Unified diff, empty when the texts are identical
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldPath = "a", newPath = "b", context = 3 } = options;
+
+  if (oldText === newText) {
+    return "";
+  }
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Number every op with its position in the old and new file
+  let oldLine = 0;
+  let newLine = 0;
+  const numbered = ops.map(([op, line]) => {
+    const entry = { op, line, oldLine, newLine };
+    if (op !== "+") oldLine++;
+    if (op !== "-") newLine++;
+    return entry;
+  });
+
+  // Group changes into hunks with surrounding context
+  const hunks = [];
+  let current = null;
+
+  numbered.forEach((entry, index) => {
+    if (entry.op === " ") return;
+
+    const start = Math.max(0, index - context);
+    const end = Math.min(numbered.length, index + context + 1);
+
+    if (current && start <= current.end) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- ${oldPath}`, `+++ ${newPath}`];
+
+  for (const hunk of hunks) {
+    const entries = numbered.slice(hunk.start, hunk.end);
+    const oldCount = entries.filter((entry) => entry.op !== "+").length;
+    const newCount = entries.filter((entry) => entry.op !== "-").length;
+    const oldStart = oldCount === 0 ? entries[0].oldLine : entries[0].oldLine + 1;
+    const newStart = newCount === 0 ? entries[0].newLine : entries[0].newLine + 1;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+
+    for (const entry of entries) {
+      output.push(`${entry.op}${entry.line}`);
+    }
+  }
+
+  return output.join("\n") + "\n";
+}
+
+module.exports = createUnifiedDiff;
@@ -0,0 +1,136 @@
+/**
+ * Module to verify a built app bundle against config.json
+ * Opens the .aab (or an .apk), decodes its compiled AndroidManifest.xml and checks the
+ * package, versionName, versionCode and <queries> packages that prepare wrote, so a
+ * build file edit that silently missed (e.g. an applicationId set in a product flavor)
+ * fails the release instead of reaching the store
+ */
+
+const fs = require("./vfs");
+const zip = require("./zip");
+const GradleFile = require("./gradle_file");
+const { decodeManifest } = require("./android_binary_xml");
+const { readConfig } = require("./config");
+const { readAndroidVersionCode } = require("./build_number");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Default values
+const DEFAULT_AAB_PATH = "android/app/build/outputs/bundle/release/app-release.aab";
+
+// Manifest location in an app bundle, and in an APK
+const MANIFEST_ENTRIES = ["base/manifest/AndroidManifest.xml", "AndroidManifest.xml"];
+
+// Read the compiled manifest of an .aab or .apk
+function readBundleManifest(bundlePath) {
+  const buffer = fs.readFileSync(bundlePath);
+  const entries = zip.readEntries(buffer);
+
+  const entry = MANIFEST_ENTRIES.map((name) => entries.get(name)).find(Boolean);
+  if (!entry) {
+    throw new Error(`No AndroidManifest.xml in ${bundlePath}`);
+  }
+
+  return decodeManifest(zip.extractEntry(buffer, entry));
+}
+
+// Package names declared in <queries>
+function readQueriedPackages(manifest) {
+  return manifest.children
+    .filter((element) => element.name === "queries")
+    .flatMap((queries) => queries.children)
+    .filter((element) => element.name === "package")
+    .map((element) => element.attributes["android:name"]);
+}
+
+/**
+ * Verify that a built app bundle carries the identity and queries from the config file
+ * @param {string} configFile - Path to configuration file
+ * @param {Object} options - Additional options
+ * @returns {boolean} - Success or failure
+ */
+function verifyAab(configFile, options = {}) {
+  // Default options
+  const defaultOptions = {
+    aabPath: DEFAULT_AAB_PATH,
+    androidPath: "android",
+  };
+
+  // Combine default options with provided options
+  const config = { ...defaultOptions, ...options };
+
+  log(`Verifying ${config.aabPath}...`, colors.blue);
+
+  if (!fs.existsSync(config.aabPath)) {
+    log(`Error: App bundle not found at ${config.aabPath}`, colors.red);
+    return false;
+  }
+
+  const fileConfig = readConfig(configFile);
+
+  let manifest;
+  try {
+    manifest = readBundleManifest(config.aabPath);
+  } catch (error) {
+    log(`Error: Cannot read the manifest of ${config.aabPath}: ${error.message}`, colors.red);
+    return false;
+  }
+
+  // versionCode is not in the config: expect the one prepare wrote to the build file
+  const versionCode = readAndroidVersionCode(GradleFile.find(`${config.androidPath}/app`));
+
+  const checks = [
+    ["package", fileConfig.bundle_id, manifest.attributes.package],
+    ["versionName", fileConfig.version, manifest.attributes["android:versionName"]],
+  ];
+  if (versionCode > 0) {
+    checks.push(["versionCode", String(versionCode), manifest.attributes["android:versionCode"]]);
+  } else {
+    log("Warning: No literal versionCode in the app build file, skipping the versionCode check", colors.yellow);
+  }
+
+  const mismatches = [];
+  for (const [name, expected, actual] of checks) {
+    if (expected === actual) {
+      log(`${name}: ${actual}`, colors.green);
+    } else {
+      mismatches.push(`${name} is ${actual || "(missing)"}, expected ${expected}`);
+    }
+  }
+
+  // Libraries may add their own queries; every configured package must be there
+  const queried = new Set(readQueriedPackages(manifest));
+  const queries = fileConfig.android_queries || {};
+  const expectedPackages = [...(fileConfig.keychains || []), ...(queries.packages || [])];
+  const missingPackages = [...new Set(expectedPackages)].filter((pkg) => !queried.has(pkg));
+  if (missingPackages.length > 0) {
+    mismatches.push(`<queries> is missing package ${missingPackages.join(", ")}`);
+  } else if (expectedPackages.length > 0) {
+    log(`<queries>: ${expectedPackages.length} configured package(s) declared`, colors.green);
+  }
+
+  if (mismatches.length > 0) {
+    log(`Error: ${config.aabPath} does not match ${configFile}:`, colors.red);
+    for (const mismatch of mismatches) {
+      log(`  - ${mismatch}`, colors.red);
+    }
+    return false;
+  }
+
+  log(`✅ ${config.aabPath} matches ${configFile}`, colors.green);
+  return true;
+}
+
+module.exports = verifyAab;
@@ -0,0 +1,172 @@
+/**
+ * Module to bump the semantic version of the app
+ * Updates "version" in the config file, then CFBundleShortVersionString in Info.plist
+ * and versionName in the app build file, so both platforms ship the same version
+ * (iOS gets it without prerelease and build metadata, which it does not accept)
+ */
+
+const fs = require("./vfs");
+const path = require("path");
+const plist = require("./plist");
+const semver = require("./semver");
+const GradleFile = require("./gradle_file");
+const { readConfig, getEnvironment } = require("./config");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+// Offsets of the string value at keyPath in JSON text, or null when it is not set
+function findStringValue(text, keyPath) {
+  const token = /"(?:[^"\\]|\\.)*"|[{}[\]:,]/g;
+  const containers = [];
+  let key = null;
+  let expectKey = false;
+  let match;
+
+  while ((match = token.exec(text)) !== null) {
+    const value = match[0];
+    const container = containers[containers.length - 1];
+
+    if (value === "{" || value === "[") {
+      containers.push({ object: value === "{", key: container && container.object ? key : null });
+      expectKey = value === "{";
+    } else if (value === "}" || value === "]") {
+      containers.pop();
+    } else if (value === ",") {
+      expectKey = Boolean(container && container.object);
+    } else if (value.startsWith('"') && expectKey) {
+      key = JSON.parse(value);
+      expectKey = false;
+    } else if (value.startsWith('"') && container && container.object) {
+      const valuePath = [...containers.slice(1).map((parent) => parent.key), key];
+      if (valuePath.join("\n") === keyPath.join("\n")) {
+        return { start: match.index, end: match.index + value.length };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Write "version" where the config file defines it: the selected environment profile,
+// the top level, or a new top-level key when it is only inherited through "extends".
+// Only the value changes, the rest of the file keeps its formatting.
+function writeConfigVersion(configFile, version) {
+  const text = fs.readFileSync(configFile, "utf8");
+  const raw = JSON.parse(text);
+  const environment = getEnvironment();
+  const profile = environment && raw.environments ? raw.environments[environment] : null;
+  const keyPath =
+    profile && profile.version !== undefined ? ["environments", environment, "version"] : ["version"];
+
+  const range = findStringValue(text, keyPath);
+  if (range) {
+    fs.writeFileSync(configFile, text.slice(0, range.start) + JSON.stringify(version) + text.slice(range.end));
+    return;
+  }
+
+  const indentMatch = text.match(/^[ \t]+(?=")/m);
+  const indent = indentMatch ? indentMatch[0] : "  ";
+  const open = text.indexOf("{") + 1;
+  const rest = text.slice(open);
+  fs.writeFileSync(
+    configFile,
+    text.slice(0, open) +
+      `\n${indent}"version": ${JSON.stringify(version)}` +
+      (rest.trim().startsWith("}") ? "" : ",") +
+      rest
+  );
+}
+
+// Set CFBundleShortVersionString, returns the previous value
+function updateIosVersion(plistPath, version) {
+  if (!fs.existsSync(plistPath)) {
+    throw new Error(`${plistPath} not found!`);
+  }
+
+  const infoPlist = plist.openPlist(plistPath);
+  const previous = infoPlist.get("CFBundleShortVersionString");
+  infoPlist.set("CFBundleShortVersionString", version);
+  infoPlist.save();
+  return previous;
+}
+
+// Set versionName in the app build file, returns the previous value
+function updateAndroidVersion(androidPath, version) {
+  const gradlePath = GradleFile.find(path.join(androidPath, "app"));
+  if (!gradlePath) {
+    throw new Error(`No build.gradle or build.gradle.kts found in ${androidPath}/app!`);
+  }
+
+  const gradleFile = GradleFile.read(gradlePath);
+  const previous = gradleFile.getProperty("versionName");
+  if (!gradleFile.setProperty("versionName", version)) {
+    throw new Error(`Could not find appropriate location to update versionName in ${gradlePath}`);
+  }
+  gradleFile.write(gradlePath);
+  return previous;
+}
+
+/**
+ * Bump the version in the config file and propagate it to both platforms
+ * @param {string} configFile - Path to configuration file
+ * @param {string} releaseType - "major", "minor", "patch" or "prerelease"
+ * @param {Object} options - Platform, iOS project name and Android project path
+ * @returns {string} - The new version
+ */
+function bumpVersion(configFile, releaseType, options = {}) {
+  // Default options
+  const defaultOptions = {
+    platform: "all",
+    iosProjectName: "MyApp",
+    androidPath: "android",
+  };
+
+  // Combine default options with provided options
+  const config = { ...defaultOptions, ...options };
+
+  const current = readConfig(configFile).version;
+  if (!semver.parse(current)) {
+    throw new Error(
+      `Cannot bump version "${current}" from ${configFile}: it is not a valid semantic version such as "1.2.3"`
+    );
+  }
+
+  const version = semver.bump(current, releaseType);
+  log(`Bumping ${releaseType} version: ${current} -> ${version}`, colors.blue);
+
+  writeConfigVersion(configFile, version);
+  log(`Config version: ${current} -> ${version} (${configFile})`, colors.green);
+
+  if (config.platform === "ios" || config.platform === "all") {
+    const plistPath = `ios/${config.iosProjectName}/Info.plist`;
+    const iosVersion = semver.toBundleShortVersion(version);
+    const previous = updateIosVersion(plistPath, iosVersion);
+    log(
+      `iOS CFBundleShortVersionString: ${previous ?? "(not set)"} -> ${iosVersion}${
+        iosVersion !== version ? " (iOS only accepts MAJOR.MINOR.PATCH)" : ""
+      }`,
+      colors.green
+    );
+  }
+
+  if (config.platform === "android" || config.platform === "all") {
+    const previous = updateAndroidVersion(config.androidPath, version);
+    log(`Android versionName: ${previous ?? "(not set)"} -> ${version}`, colors.green);
+  }
+
+  return version;
+}
+
+module.exports = bumpVersion;
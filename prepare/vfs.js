@@ -0,0 +1,465 @@
+/**
+ * Virtual File Layer
+ * Every prepare module reads and writes project files through this module instead of
+ * "fs". Normally each call goes straight to disk. In dry-run mode writes are kept in
+ * memory (and served back to later reads), so a run can be previewed as a unified
+ * diff without touching the working tree.
+ *
+ * Real runs are transactional: between beginTransaction and commitTransaction every
+ * file is copied into a snapshot directory before its first modification, so a failed
+ * run can be rolled back and the last run can be reverted later with restoreSnapshot.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const createUnifiedDiff = require("./unified_diff");
+
+// Console colors for better output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  red: "\x1b[31m",
+  cyan: "\x1b[36m",
+};
+
+// Log with color
+function log(message, color = colors.reset) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+let dryRun = false;
+
+// Pending writes in dry-run mode: absolute path → Buffer (null when deleted)
+const virtualFiles = new Map();
+
+// Directories created in dry-run mode
+const virtualDirs = new Set();
+
+// Files produced by external tools (ImageMagick, ...) that a dry run skipped
+const generatedAssets = new Map();
+
+// Snapshot of the running transaction:
+// { root, dir, projectRoot, files: Map(absolute path → entry), dirs: [absolute path] }
+let transaction = null;
+
+function resolve(filePath) {
+  return path.resolve(String(filePath));
+}
+
+function toBuffer(data, encoding) {
+  return Buffer.isBuffer(data) ? Buffer.from(data) : Buffer.from(String(data), encoding || "utf8");
+}
+
+function decode(buffer, options) {
+  const encoding = typeof options === "string" ? options : options && options.encoding;
+  return encoding ? buffer.toString(encoding) : Buffer.from(buffer);
+}
+
+const CURRENT_RUN = "current-run";
+const LAST_RUN = "last-run";
+
+// Persist the manifest after every change, so an interrupted run can still be restored
+function writeManifest() {
+  const relative = (filePath) => path.relative(transaction.projectRoot, filePath);
+  const manifest = {
+    startedAt: transaction.startedAt,
+    files: [...transaction.files.entries()].map(([filePath, entry]) => ({
+      path: relative(filePath),
+      existed: entry.existed,
+      snapshot: entry.snapshot,
+    })),
+    dirs: transaction.dirs.map(relative),
+  };
+
+  fs.writeFileSync(
+    path.join(transaction.dir, "manifest.json"),
+    JSON.stringify(manifest, null, 2) + "\n"
+  );
+}
+
+/**
+ * Start recording the original state of every file this run modifies
+ * @param {string} snapshotRoot - Directory holding the run snapshots (e.g. ".prepare")
+ */
+function beginTransaction(snapshotRoot) {
+  const root = resolve(snapshotRoot);
+  const dir = path.join(root, CURRENT_RUN);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, "files"), { recursive: true });
+
+  transaction = {
+    root,
+    dir,
+    projectRoot: path.dirname(root),
+    startedAt: new Date().toISOString(),
+    files: new Map(),
+    dirs: [],
+  };
+  writeManifest();
+}
+
+/**
+ * Snapshot a file before it is modified. Writes through this module are tracked
+ * automatically; call this before an external tool (ImageMagick, PlistBuddy, ...)
+ * writes the file.
+ * @param {string} filePath - File about to be modified
+ */
+function track(filePath) {
+  if (!transaction || dryRun) {
+    return;
+  }
+
+  const resolved = resolve(filePath);
+  if (transaction.files.has(resolved)) {
+    return;
+  }
+
+  const entry = { existed: fs.existsSync(resolved), snapshot: null };
+  if (entry.existed) {
+    entry.snapshot = `files/${transaction.files.size}`;
+    fs.copyFileSync(resolved, path.join(transaction.dir, entry.snapshot));
+  }
+
+  transaction.files.set(resolved, entry);
+  writeManifest();
+}
+
+// Remember the outermost directory a mkdir creates, so rollback can remove it
+function trackDirectory(dirPath) {
+  if (!transaction || dryRun) {
+    return;
+  }
+
+  let outermost = null;
+  let current = resolve(dirPath);
+  while (!fs.existsSync(current)) {
+    outermost = current;
+    current = path.dirname(current);
+  }
+
+  if (outermost) {
+    transaction.dirs.push(outermost);
+    writeManifest();
+  }
+}
+
+// Put every file of a snapshot back; returns the number of files restored
+function restoreFromManifest(snapshotDir, manifest, projectRoot) {
+  for (const file of manifest.files) {
+    const filePath = path.resolve(projectRoot, file.path);
+
+    if (file.existed) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.copyFileSync(path.join(snapshotDir, file.snapshot), filePath);
+    } else {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+
+  for (const dir of [...manifest.dirs].reverse()) {
+    fs.rmSync(path.resolve(projectRoot, dir), { recursive: true, force: true });
+  }
+
+  return manifest.files.length;
+}
+
+/**
+ * Finish the running transaction; its snapshot becomes the one restoreSnapshot reverts
+ */
+function commitTransaction() {
+  if (!transaction) {
+    return;
+  }
+
+  const lastRun = path.join(transaction.root, LAST_RUN);
+  fs.rmSync(lastRun, { recursive: true, force: true });
+  fs.renameSync(transaction.dir, lastRun);
+  transaction = null;
+}
+
+/**
+ * Undo every change of the running transaction
+ * @returns {number} - Number of files restored
+ */
+function rollbackTransaction() {
+  if (!transaction) {
+    return 0;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(transaction.dir, "manifest.json"), "utf8"));
+  const restored = restoreFromManifest(transaction.dir, manifest, transaction.projectRoot);
+
+  fs.rmSync(transaction.dir, { recursive: true, force: true });
+  transaction = null;
+  return restored;
+}
+
+/**
+ * Revert the last run from its saved snapshot. A run that was interrupted before it
+ * could finish or roll back takes precedence over the last completed run.
+ * @param {string} snapshotRoot - Directory holding the run snapshots (e.g. ".prepare")
+ * @returns {{files: number, startedAt: string, interrupted: boolean}|null} - null when there is nothing to restore
+ */
+function restoreSnapshot(snapshotRoot) {
+  const root = resolve(snapshotRoot);
+  const interrupted = fs.existsSync(path.join(root, CURRENT_RUN, "manifest.json"));
+  const snapshotDir = path.join(root, interrupted ? CURRENT_RUN : LAST_RUN);
+  const manifestPath = path.join(snapshotDir, "manifest.json");
+
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const files = restoreFromManifest(snapshotDir, manifest, path.dirname(root));
+
+  fs.rmSync(snapshotDir, { recursive: true, force: true });
+  return { files, startedAt: manifest.startedAt, interrupted };
+}
+
+/**
+ * Enable or disable dry-run mode
+ * @param {boolean} enabled - Whether writes should be kept in memory
+ */
+function setDryRun(enabled) {
+  dryRun = Boolean(enabled);
+}
+
+function isDryRun() {
+  return dryRun;
+}
+
+function existsSync(filePath) {
+  const resolved = resolve(filePath);
+
+  if (virtualFiles.has(resolved)) {
+    return virtualFiles.get(resolved) !== null;
+  }
+
+  return virtualDirs.has(resolved) || fs.existsSync(resolved);
+}
+
+function readFileSync(filePath, options) {
+  const resolved = resolve(filePath);
+
+  if (virtualFiles.has(resolved)) {
+    const content = virtualFiles.get(resolved);
+    if (content === null) {
+      const error = new Error(`ENOENT: no such file or directory, open '${filePath}'`);
+      error.code = "ENOENT";
+      throw error;
+    }
+    return decode(content, options);
+  }
+
+  return fs.readFileSync(resolved, options);
+}
+
+function writeFileSync(filePath, data, options) {
+  if (!dryRun) {
+    track(filePath);
+    return fs.writeFileSync(filePath, data, options);
+  }
+
+  const encoding = typeof options === "string" ? options : options && options.encoding;
+  virtualFiles.set(resolve(filePath), toBuffer(data, encoding));
+}
+
+function copyFileSync(source, destination) {
+  if (!dryRun) {
+    track(destination);
+    return fs.copyFileSync(source, destination);
+  }
+
+  virtualFiles.set(resolve(destination), readFileSync(source));
+}
+
+function unlinkSync(filePath) {
+  if (!dryRun) {
+    track(filePath);
+    return fs.unlinkSync(filePath);
+  }
+
+  if (!existsSync(filePath)) {
+    const error = new Error(`ENOENT: no such file or directory, unlink '${filePath}'`);
+    error.code = "ENOENT";
+    throw error;
+  }
+
+  virtualFiles.set(resolve(filePath), null);
+}
+
+function mkdirSync(dirPath, options) {
+  if (!dryRun) {
+    trackDirectory(dirPath);
+    return fs.mkdirSync(dirPath, options);
+  }
+
+  let current = resolve(dirPath);
+  while (!fs.existsSync(current) && !virtualDirs.has(current)) {
+    virtualDirs.add(current);
+    current = path.dirname(current);
+  }
+}
+
+function statSync(filePath, options) {
+  const resolved = resolve(filePath);
+
+  if (virtualDirs.has(resolved)) {
+    return virtualDirent(path.basename(resolved), true);
+  }
+  if (virtualFiles.has(resolved) && virtualFiles.get(resolved) !== null) {
+    return Object.assign(virtualDirent(path.basename(resolved), false), {
+      size: virtualFiles.get(resolved).length,
+    });
+  }
+
+  return fs.statSync(resolved, options);
+}
+
+// Minimal Dirent stand-in for entries that only exist in memory
+function virtualDirent(name, directory) {
+  return {
+    name,
+    isDirectory: () => directory,
+    isFile: () => !directory,
+  };
+}
+
+function readdirSync(dirPath, options = {}) {
+  const resolved = resolve(dirPath);
+  const withFileTypes = options && options.withFileTypes;
+  const entries = new Map();
+
+  if (fs.existsSync(resolved)) {
+    for (const entry of fs.readdirSync(resolved, { withFileTypes: true })) {
+      entries.set(entry.name, entry);
+    }
+  } else if (!virtualDirs.has(resolved)) {
+    return fs.readdirSync(resolved, options);
+  }
+
+  // Overlay files and directories created or deleted during a dry run
+  for (const [filePath, content] of virtualFiles) {
+    if (path.dirname(filePath) !== resolved) continue;
+    const name = path.basename(filePath);
+    if (content === null) {
+      entries.delete(name);
+    } else if (!entries.has(name)) {
+      entries.set(name, virtualDirent(name, false));
+    }
+  }
+
+  for (const virtualDir of virtualDirs) {
+    const name = path.basename(virtualDir);
+    if (path.dirname(virtualDir) === resolved && !entries.has(name)) {
+      entries.set(name, virtualDirent(name, true));
+    }
+  }
+
+  const result = [...entries.values()].sort((a, b) => (a.name < b.name ? -1 : 1));
+  return withFileTypes ? result : result.map((entry) => entry.name);
+}
+
+/**
+ * Record a file that an external tool would create, so dry runs can list it
+ * @param {string} filePath - Output file path
+ * @param {string} description - Short description, e.g. "1024x1024 PNG"
+ */
+function recordGeneratedAsset(filePath, description) {
+  generatedAssets.set(resolve(filePath), description);
+}
+
+// Text files are diffed; anything with NUL bytes is reported as binary
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Print the unified diff of every pending write and the list of binary assets
+ * that would be generated. Only meaningful in dry-run mode.
+ */
+function printDryRunReport() {
+  const cwd = process.cwd();
+  const display = (filePath) => path.relative(cwd, filePath) || filePath;
+  const binaryChanges = new Map(generatedAssets);
+  let changedFiles = 0;
+
+  log("\nDry run: no files were modified", colors.green);
+  log("=========================", colors.green);
+
+  for (const filePath of [...virtualFiles.keys()].sort()) {
+    const content = virtualFiles.get(filePath);
+    const original = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+
+    if (original && content && original.equals(content)) {
+      continue;
+    }
+
+    if ((content && isBinary(content)) || (original && isBinary(original))) {
+      binaryChanges.set(
+        filePath,
+        content === null ? "deleted" : `${content.length} bytes${original ? " (replaced)" : ""}`
+      );
+      continue;
+    }
+
+    changedFiles++;
+    const diff = createUnifiedDiff(
+      original ? original.toString("utf8") : "",
+      content ? content.toString("utf8") : "",
+      {
+        oldPath: original ? `a/${display(filePath)}` : "/dev/null",
+        newPath: content ? `b/${display(filePath)}` : "/dev/null",
+      }
+    );
+
+    for (const line of diff.split("\n")) {
+      if (line.startsWith("+++") || line.startsWith("---")) {
+        log(line);
+      } else if (line.startsWith("+")) {
+        log(line, colors.green);
+      } else if (line.startsWith("-")) {
+        log(line, colors.red);
+      } else if (line.startsWith("@@")) {
+        log(line, colors.cyan);
+      } else {
+        log(line);
+      }
+    }
+  }
+
+  log(`${changedFiles} text file(s) would change`, colors.blue);
+
+  if (binaryChanges.size > 0) {
+    log("\nBinary assets that would be generated:", colors.blue);
+    for (const filePath of [...binaryChanges.keys()].sort()) {
+      log(`  ${display(filePath)} (${binaryChanges.get(filePath)})`, colors.blue);
+    }
+  }
+}
+
+module.exports = {
+  setDryRun,
+  isDryRun,
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  copyFileSync,
+  unlinkSync,
+  mkdirSync,
+  readdirSync,
+  statSync,
+  accessSync: fs.accessSync,
+  constants: fs.constants,
+  recordGeneratedAsset,
+  printDryRunReport,
+  beginTransaction,
+  track,
+  commitTransaction,
+  rollbackTransaction,
+  restoreSnapshot,
+};
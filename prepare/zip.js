@@ -0,0 +1,98 @@
+/**
+ * Zip Archive Module
+ * Minimal reader for .aab and .apk files: lists the entries of the central directory
+ * and extracts stored or deflated entries with zlib. Zip64 archives are not supported.
+ */
+
+const zlib = require("zlib");
+
+// Record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// End of central directory record: 22 bytes plus a comment of up to 64 KiB
+function findEndOfCentralDirectory(buffer) {
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error("Not a zip archive (no end of central directory record)");
+}
+
+/**
+ * Read the entries of a zip archive
+ * @param {Buffer} buffer - Content of the archive
+ * @returns {Map<string, {name: string, method: number, compressedSize: number, size: number, offset: number}>}
+ *   - Entries by name
+ */
+function readEntries(buffer) {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported");
+  }
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error(`Corrupt zip archive (bad central directory entry ${i})`);
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract the content of an entry
+ * @param {Buffer} buffer - Content of the archive
+ * @param {Object} entry - Entry returned by readEntries
+ * @returns {Buffer} - Uncompressed content
+ */
+function extractEntry(buffer, entry) {
+  if (buffer.readUInt32LE(entry.offset) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupt zip archive (bad local header for ${entry.name})`);
+  }
+
+  // The local header has its own name and extra field lengths
+  const dataStart =
+    entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  switch (entry.method) {
+    case STORED:
+      return Buffer.from(data);
+    case DEFLATED:
+      return zlib.inflateRawSync(data);
+    default:
+      throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+}
+
+module.exports = {
+  readEntries,
+  extractEntry,
+};
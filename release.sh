@@ -20,7 +20,13 @@ parse_json() {
   local key="$2"
 
   if [ -f "$file" ]; then
-    value=$(grep -o "\"$key\":[^,}]*" "$file" | awk -F: '{print $2}' | tr -d ' "')
+    # Read through prepare/config.js so keys inherited with "extends" are found too
+    value=$(node -e '
+      const { readConfig, useEnvironment } = require(process.argv[1]);
+      useEnvironment(process.argv[4]);
+      const value = readConfig(process.argv[2])[process.argv[3]];
+      if (value !== undefined) console.log(value);
+    ' "$SCRIPT_DIR/prepare/config.js" "$file" "$key" "$ENV_NAME" 2>/dev/null)
     if [ -n "$value" ]; then
       echo "$value"
       return 0
@@ -63,12 +69,22 @@ while [[ $# -gt 0 ]]; do
       IOS_PROJECT_NAME="$2"
       shift 2
       ;;
+    --env)
+      ENV_NAME="$2"
+      shift 2
+      ;;
+    --allow-mismatch)
+      ALLOW_MISMATCH=1
+      shift
+      ;;
     --help)
       echo "Usage: ./build.sh [options]"
       echo "Options:"
       echo "  --file           Path to configuration file (default: $DEFAULT_CONFIG_FILE)"
       echo "  --platform       Platform to build for: 'ios', 'android', or 'all' (overrides config file)"
       echo "  --ios-project    iOS project name (overrides config file)"
+      echo "  --env            Environment profile from the config's \"environments\" block (e.g. staging)"
+      echo "  --allow-mismatch Build even when the Firebase config files belong to another bundle id"
       echo "  --help           Show this help message"
       echo ""
       echo "Note: This script will automatically run prepare/main.js before building"
@@ -92,19 +108,46 @@ load_config "$CONFIG_FILE"
 build_ios() {
   echo "Building iOS app for Archive..."
 
+  # Export only with the ios_export settings of this config, never with options left by another
+  local export_ipa=""
+  if parse_json "$CONFIG_FILE" "ios_export" > /dev/null; then
+    export_ipa=1
+  fi
+
   cd ios
 
-  # Create an archive and open the Xcode organizer
+  # Create an archive
   xcodebuild -workspace $IOS_PROJECT_NAME.xcworkspace -scheme $IOS_PROJECT_NAME -configuration Release \
     -archivePath build/$IOS_PROJECT_NAME.xcarchive archive -allowProvisioningUpdates
 
-  # Open Xcode with the archive
-  echo "Opening Xcode organizer with the archive..."
-  open -a Xcode build/$IOS_PROJECT_NAME.xcarchive
+  # Without ios_export in the config there are no export options: finish in the Xcode organizer
+  if [ -z "$export_ipa" ]; then
+    echo "No ios_export in $CONFIG_FILE (set it to export an .ipa)"
+    echo "Opening Xcode organizer with the archive..."
+    open -a Xcode build/$IOS_PROJECT_NAME.xcarchive
+
+    cd ..
+
+    echo "iOS build completed. The Archive window should be open in Xcode."
+    return
+  fi
+
+  # Export the archive as an .ipa with the options generated by prepare
+  echo "Exporting IPA..."
+  rm -rf build/export
+  xcodebuild -exportArchive -archivePath build/$IOS_PROJECT_NAME.xcarchive \
+    -exportOptionsPlist build/ExportOptions.plist -exportPath build/export -allowProvisioningUpdates
+
+  IPA_PATH=$(ls build/export/*.ipa 2>/dev/null | head -n 1)
+  if [ -z "$IPA_PATH" ]; then
+    echo "Error: xcodebuild did not produce an .ipa in ios/build/export"
+    exit 1
+  fi
 
   cd ..
 
-  echo "iOS build completed. The Archive window should be open in Xcode."
+  echo "iOS build completed successfully."
+  echo "IPA location: ios/$IPA_PATH"
 }
 
 # Function to build Android app
@@ -122,7 +165,6 @@ build_android() {
 
   echo "AAB build completed successfully."
   echo "App Bundle location: android/app/build/outputs/bundle/release/app-release.aab"
-  open android/app/build/outputs/bundle/release
 
   cd ..
 }
@@ -131,6 +173,9 @@ build_android() {
 echo "React Native Build Script"
 echo "========================="
 echo "Building for platform: $PLATFORM"
+if [ -n "$ENV_NAME" ]; then
+  echo "Environment: $ENV_NAME"
+fi
 echo "iOS Project Name: $IOS_PROJECT_NAME"
 echo "========================="
 
@@ -142,7 +187,14 @@ PREPARE_SCRIPT="$SCRIPT_DIR/prepare/main.js"
 
 if [ -f "$PREPARE_SCRIPT" ]; then
   echo "Executing $PREPARE_SCRIPT"
-  node "$PREPARE_SCRIPT" --file "$CONFIG_FILE" --autoVersionCode 1
+  PREPARE_ARGS=(--file "$CONFIG_FILE" --autoVersionCode 1 --release)
+  if [ -n "$ENV_NAME" ]; then
+    PREPARE_ARGS+=(--env "$ENV_NAME")
+  fi
+  if [ -n "$ALLOW_MISMATCH" ]; then
+    PREPARE_ARGS+=(--allow-mismatch)
+  fi
+  node "$PREPARE_SCRIPT" "${PREPARE_ARGS[@]}"
   if [ $? -ne 0 ]; then
     echo "Error: Prepare script failed. Build process aborted."
     exit 1
@@ -160,6 +212,22 @@ fi
 
 if [[ "$PLATFORM" == "android" || "$PLATFORM" == "all" ]]; then
   build_android
+
+  # Fail the release when the bundle does not carry what prepare configured
+  echo "Verifying the app bundle..."
+  VERIFY_ARGS=(verify-aab --file "$CONFIG_FILE")
+  if [ -n "$ENV_NAME" ]; then
+    VERIFY_ARGS+=(--env "$ENV_NAME")
+  fi
+  node "$PREPARE_SCRIPT" "${VERIFY_ARGS[@]}"
+fi
+
+# Copy the artifacts into dist/ with a release.json manifest
+echo "Collecting release artifacts..."
+COLLECT_ARGS=(collect --file "$CONFIG_FILE")
+if [ -n "$ENV_NAME" ]; then
+  COLLECT_ARGS+=(--env "$ENV_NAME")
 fi
+node "$PREPARE_SCRIPT" "${COLLECT_ARGS[@]}"
 
 echo "Build process completed!"